@@ -0,0 +1,209 @@
+/**
+ * Alert types and their severities
+ * @type {Object<string, string>}
+ */
+export const ALERT_SEVERITY = {
+  change: 'warning',
+  error: 'critical',
+  unavailable: 'critical',
+  recovery: 'info'
+};
+
+/**
+ * Default alert policy
+ * @type {Object}
+ * @property {number} cooldown - Minimum time between two alerts of the same type in
+ *   milliseconds; during an outage this is the reminder interval (0 = no reminders)
+ * @property {number} failureThreshold - Consecutive failed checks before an error alert
+ * @property {boolean} notifyRecovery - Send a recovery alert when checks succeed again
+ * @property {Object|null} flapping - Flapping detection, disabled when null
+ * @property {number} flapping.window - Number of recent checks to look at
+ * @property {number} flapping.maxStates - Flapping means toggling between at most this many fingerprints
+ * @property {number} flapping.minTransitions - Changes within the window needed to call it flapping
+ */
+export const DEFAULT_ALERT_POLICY = {
+  cooldown: 0,
+  failureThreshold: 1,
+  notifyRecovery: true,
+  flapping: null
+};
+
+/**
+ * Default flapping detection settings, used when `flapping: true`
+ * @type {Object}
+ */
+const DEFAULT_FLAPPING = {
+  window: 10,
+  maxStates: 2,
+  minTransitions: 4
+};
+
+/**
+ * Per-target alert policy
+ * Turns check results into the alerts that should actually be sent, applying
+ * failure thresholds, cooldowns, recovery notifications and flapping suppression
+ */
+export class AlertPolicy {
+  /**
+   * Create a new AlertPolicy instance
+   * @param {Object} [options] - Policy options, see DEFAULT_ALERT_POLICY
+   */
+  constructor(options = {}) {
+    const { flapping, ...rest } = { ...DEFAULT_ALERT_POLICY, ...options };
+
+    this.options = {
+      ...rest,
+      flapping: flapping
+        ? { ...DEFAULT_FLAPPING, ...(flapping === true ? {} : flapping) }
+        : null
+    };
+
+    this.consecutiveFailures = 0;
+    this.outageAlerted = false;
+    this.lastSent = {};
+    this.recentFingerprints = [];
+    this.isFlapping = false;
+    this.suppressedChanges = 0;
+  }
+
+  /**
+   * Whether the cooldown for an alert type has elapsed
+   * @param {string} type - Alert type
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} Whether an alert of this type may be sent
+   */
+  cooledDown(type, now) {
+    const last = this.lastSent[type];
+    return last === undefined || now - last >= this.options.cooldown;
+  }
+
+  /**
+   * Detect flapping in the recent fingerprints
+   * @returns {{states: number, transitions: number}|null} Flapping summary, or null
+   */
+  detectFlapping() {
+    const { flapping } = this.options;
+    if (!flapping || this.recentFingerprints.length < flapping.window) {
+      return null;
+    }
+
+    const states = new Set(this.recentFingerprints).size;
+    const transitions = this.recentFingerprints.filter(
+      (fingerprint, i, list) => i > 0 && fingerprint !== list[i - 1]
+    ).length;
+
+    return states <= flapping.maxStates &&
+      transitions >= flapping.minTransitions
+      ? { states, transitions }
+      : null;
+  }
+
+  /**
+   * Observe a check result and decide which alerts to send
+   * @param {Object} result - Check result with `outcome`, `state`, `error`, `availability`
+   *   and `ruleMatches`
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {Object[]} Alerts to send, each with `type`, `severity`, `message`
+   *   and optional extra fields
+   */
+  observe(result, now = Date.now()) {
+    const alerts = [];
+    const send = (type, message, extra = {}) => {
+      this.lastSent[type] = now;
+      alerts.push({ type, severity: ALERT_SEVERITY[type], message, ...extra });
+    };
+
+    if (result.outcome === 'error') {
+      this.consecutiveFailures += 1;
+
+      if (this.consecutiveFailures < this.options.failureThreshold) {
+        return alerts;
+      }
+
+      // Error, login and CAPTCHA pages are an availability problem of the
+      // target rather than a failing check
+      const type = result.availability ? 'unavailable' : 'error';
+
+      // An ongoing outage alerts once, then only as a reminder after the cooldown
+      const reminder = this.outageAlerted && this.options.cooldown > 0;
+      if (!this.outageAlerted || (reminder && this.cooledDown(type, now))) {
+        this.outageAlerted = true;
+        send(
+          type,
+          // Unavailable errors already say what kind of page was served
+          type === 'unavailable'
+            ? result.error
+            : `Monitoring error: ${result.error}`,
+          {
+            consecutiveFailures: this.consecutiveFailures,
+            ...(result.availability && { availability: result.availability })
+          }
+        );
+      }
+      return alerts;
+    }
+
+    if (this.outageAlerted && this.options.notifyRecovery) {
+      send(
+        'recovery',
+        `Recovered after ${this.consecutiveFailures} failed check(s)`,
+        { consecutiveFailures: this.consecutiveFailures }
+      );
+    }
+    this.consecutiveFailures = 0;
+    this.outageAlerted = false;
+
+    if (result.state && this.options.flapping) {
+      this.recentFingerprints = [
+        ...this.recentFingerprints,
+        result.state.hash
+      ].slice(-this.options.flapping.window);
+    }
+
+    const flapping = this.detectFlapping();
+    if (!flapping && this.isFlapping) {
+      this.isFlapping = false;
+    }
+
+    // With rules configured, only changes that trigger a rule count
+    if (result.outcome !== 'changed' || result.ruleMatches?.length === 0) {
+      return alerts;
+    }
+
+    if (flapping) {
+      if (!this.isFlapping) {
+        this.isFlapping = true;
+        send(
+          'change',
+          `Flapping between ${flapping.states} states, further changes are suppressed`,
+          { flapping }
+        );
+      } else {
+        this.suppressedChanges += 1;
+      }
+      return alerts;
+    }
+
+    if (!this.cooledDown('change', now)) {
+      this.suppressedChanges += 1;
+      return alerts;
+    }
+
+    const suppressedChanges = this.suppressedChanges;
+    this.suppressedChanges = 0;
+    const { ruleMatches } = result;
+    send(
+      'change',
+      ruleMatches
+        ? `Rule matched: ${ruleMatches.map((match) => match.description).join('; ')}`
+        : result.summary || 'Change Detected',
+      {
+        ...(ruleMatches && { rules: ruleMatches }),
+        ...(result.items && { items: result.items }),
+        ...(suppressedChanges && { suppressedChanges })
+      }
+    );
+
+    return alerts;
+  }
+}
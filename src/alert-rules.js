@@ -0,0 +1,233 @@
+import { diffItems, describeItemChanges } from './list-items.js';
+
+/**
+ * Coerce an extracted value to a number
+ * @param {any} value - Extracted value
+ * @returns {number|null} Number, or null when the value is not numeric
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value.replace(/,/g, ''));
+    return Number.isNaN(number) ? null : number;
+  }
+  return null;
+};
+
+/**
+ * Coerce an extracted value to text for pattern rules
+ * @param {any} value - Extracted value
+ * @returns {string} Text
+ */
+const toText = (value) =>
+  typeof value === 'string' ? value : JSON.stringify(value ?? '');
+
+/**
+ * Rule operators
+ * Each receives the previous and current values plus the rule, and returns a
+ * description when the rule triggers, or null.
+ * @type {Object<string, Function>}
+ */
+const operators = {
+  changed: () => 'value changed',
+
+  equals: (prev, curr, { value }) =>
+    curr === value || toNumber(curr) === value ? `value is ${value}` : null,
+
+  becomes: (prev, curr, rule) =>
+    operators.equals(prev, curr, rule) && !operators.equals(null, prev, rule)
+      ? `value became ${rule.value}`
+      : null,
+
+  above: (prev, curr, { value }) =>
+    toNumber(curr) !== null && toNumber(curr) > value
+      ? `value is above ${value}`
+      : null,
+
+  below: (prev, curr, { value }) =>
+    toNumber(curr) !== null && toNumber(curr) < value
+      ? `value is below ${value}`
+      : null,
+
+  crossesAbove: (prev, curr, { value }) =>
+    toNumber(prev) !== null &&
+    toNumber(curr) !== null &&
+    toNumber(prev) <= value &&
+    toNumber(curr) > value
+      ? `value crossed above ${value}`
+      : null,
+
+  crossesBelow: (prev, curr, { value }) =>
+    toNumber(prev) !== null &&
+    toNumber(curr) !== null &&
+    toNumber(prev) >= value &&
+    toNumber(curr) < value
+      ? `value crossed below ${value}`
+      : null,
+
+  increases: (prev, curr, { by = 0 }) =>
+    toNumber(prev) !== null &&
+    toNumber(curr) !== null &&
+    toNumber(curr) - toNumber(prev) > by
+      ? `value increased${by ? ` by more than ${by}` : ''}`
+      : null,
+
+  decreases: (prev, curr, { by = 0 }) =>
+    toNumber(prev) !== null &&
+    toNumber(curr) !== null &&
+    toNumber(prev) - toNumber(curr) > by
+      ? `value decreased${by ? ` by more than ${by}` : ''}`
+      : null,
+
+  matches: (prev, curr, { regex }) =>
+    regex.test(toText(curr)) ? `value matches ${regex}` : null,
+
+  notMatches: (prev, curr, { regex }) =>
+    !regex.test(toText(curr)) ? `value does not match ${regex}` : null,
+
+  startsMatching: (prev, curr, { regex }) =>
+    !regex.test(toText(prev)) && regex.test(toText(curr))
+      ? `value started matching ${regex}`
+      : null,
+
+  stopsMatching: (prev, curr, { regex }) =>
+    regex.test(toText(prev)) && !regex.test(toText(curr))
+      ? `value stopped matching ${regex}`
+      : null,
+
+  itemsAdded: (prev, curr, { min = 1 }) => {
+    const { added } = diffItems(prev, curr);
+    return added.length >= min
+      ? describeItemChanges({ added, removed: [], modified: [] })
+      : null;
+  },
+
+  itemsRemoved: (prev, curr, { min = 1 }) => {
+    const { removed } = diffItems(prev, curr);
+    return removed.length >= min
+      ? describeItemChanges({ added: [], removed, modified: [] })
+      : null;
+  },
+
+  itemsModified: (prev, curr, { min = 1, fields }) => {
+    const modified = diffItems(prev, curr).modified.filter(
+      ({ changes }) =>
+        !fields || fields.some((field) => Object.hasOwn(changes, field))
+    );
+    return modified.length >= min
+      ? describeItemChanges({ added: [], removed: [], modified })
+      : null;
+  }
+};
+
+// List operators describe the items themselves instead of both values
+const ITEM_OPERATORS = ['itemsAdded', 'itemsRemoved', 'itemsModified'];
+
+// Operators that need a `value`, a numeric `value` or a `pattern`
+const VALUE_OPERATORS = ['equals', 'becomes'];
+const NUMERIC_OPERATORS = ['above', 'below', 'crossesAbove', 'crossesBelow'];
+const PATTERN_OPERATORS = [
+  'matches',
+  'notMatches',
+  'startsMatching',
+  'stopsMatching'
+];
+
+/**
+ * Validate rule definitions and precompile their patterns
+ * @example
+ * compileRules([
+ *   { when: 'becomes', value: 0, name: 'sold out' },
+ *   { when: 'crossesBelow', value: 100 },
+ *   { when: 'startsMatching', pattern: 'in stock', flags: 'i' },
+ *   { when: 'itemsAdded', min: 1 }
+ * ], { list: true });
+ * @param {Object[]} rules - Rule definitions
+ * @param {Object} [options] - Target details
+ * @param {boolean} [options.list=false] - Whether the target tracks a list,
+ *   which item conditions need
+ * @returns {Object[]} Compiled rules
+ * @throws {Error} When a rule is malformed
+ */
+export const compileRules = (rules, { list = false } = {}) => {
+  if (!Array.isArray(rules)) {
+    throw new Error('"rules" must be a list');
+  }
+
+  return rules.map((rule, index) => {
+    const label = rule.name || `rule #${index + 1}`;
+
+    if (!operators[rule.when]) {
+      throw new Error(
+        `Unknown condition "${rule.when}" in ${label}. Available: ${Object.keys(operators).join(', ')}`
+      );
+    }
+    if (ITEM_OPERATORS.includes(rule.when)) {
+      if (!list) {
+        throw new Error(`${label} needs a target with a "list"`);
+      }
+      if (
+        rule.min !== undefined &&
+        (!Number.isInteger(rule.min) || rule.min < 1)
+      ) {
+        throw new Error(`${label} needs a positive whole number as "min"`);
+      }
+      if (
+        rule.fields !== undefined &&
+        (!Array.isArray(rule.fields) ||
+          rule.fields.some((field) => typeof field !== 'string'))
+      ) {
+        throw new Error(`${label} needs a list of field names as "fields"`);
+      }
+    }
+    if (VALUE_OPERATORS.includes(rule.when) && rule.value === undefined) {
+      throw new Error(`${label} needs a "value"`);
+    }
+    if (
+      NUMERIC_OPERATORS.includes(rule.when) &&
+      typeof rule.value !== 'number'
+    ) {
+      throw new Error(`${label} needs a numeric "value"`);
+    }
+    if (PATTERN_OPERATORS.includes(rule.when)) {
+      if (!rule.pattern) {
+        throw new Error(`${label} needs a "pattern"`);
+      }
+      // `g` and `y` make test() resume from the last match, so results
+      // would depend on earlier evaluations
+      const flags = (rule.flags ?? '').replace(/[gy]/g, '');
+      return { ...rule, regex: new RegExp(rule.pattern, flags) };
+    }
+
+    return rule;
+  });
+};
+
+/**
+ * Evaluate rules against the previous and current extracted values
+ * @param {Object[]} rules - Rules returned by compileRules
+ * @param {any} previous - Previous extracted value
+ * @param {any} current - Current extracted value
+ * @returns {Object[]} Triggered rules with `name`, `when`, `description`,
+ *   `previous` and `current`
+ */
+export const evaluateRules = (rules, previous, current) =>
+  rules.flatMap((rule) => {
+    const description = operators[rule.when](previous, current, rule);
+
+    return description
+      ? [
+          {
+            name: rule.name || rule.when,
+            when: rule.when,
+            description: ITEM_OPERATORS.includes(rule.when)
+              ? description
+              : `${description} (${JSON.stringify(previous)} → ${JSON.stringify(current)})`,
+            previous,
+            current
+          }
+        ]
+      : [];
+  });
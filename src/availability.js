@@ -0,0 +1,204 @@
+/**
+ * Load classes, `ok` for pages whose content can be trusted
+ * @type {string[]}
+ */
+export const LOAD_CLASSES = [
+  'ok',
+  'http-error',
+  'redirected-away',
+  'blocked',
+  'selector-missing'
+];
+
+/**
+ * Redirect policies: where a load may end up and still count as the target
+ * @type {Object<string, Function>}
+ */
+const REDIRECT_POLICIES = {
+  'same-page': (from, to) =>
+    from.host === to.host &&
+    from.pathname.replace(/\/$/, '') === to.pathname.replace(/\/$/, ''),
+  'same-origin': (from, to) => from.host === to.host,
+  any: () => true
+};
+
+/**
+ * Signatures of CAPTCHA and bot-protection interstitials
+ * Only markup of full-page challenges: CAPTCHA widgets also sit in ordinary
+ * contact and login forms.
+ * @type {Object[]}
+ */
+const BUILTIN_SIGNATURES = [
+  { selector: '#challenge-form, #cf-challenge-running, #px-captcha' },
+  {
+    text: 'verify (?:that )?you are (?:a )?human|are you a robot|unusual traffic from your (?:computer )?network'
+  }
+];
+
+/**
+ * Error raised when a load is not the target's real content
+ * The check fails without touching the baseline.
+ */
+export class UnavailableError extends Error {
+  /**
+   * @param {string} availability - Load class, see LOAD_CLASSES
+   * @param {string} reason - What gave it away
+   */
+  constructor(availability, reason) {
+    super(`Page unavailable (${availability}): ${reason}`);
+    this.name = 'UnavailableError';
+    this.availability = availability;
+  }
+}
+
+/**
+ * Validate availability options
+ *
+ * Signatures recognize error pages served with a 200: `text` is a
+ * case-insensitive regex matched against the page text, `selector` an element
+ * that only exists on such pages, and `as` the class they get (default
+ * `blocked`).
+ *
+ * @example
+ * compileAvailability({
+ *   redirects: 'same-origin',
+ *   signatures: [
+ *     { text: 'down for maintenance', as: 'http-error' },
+ *     { selector: 'form#login' }
+ *   ]
+ * });
+ * @param {Object} [options] - Availability options
+ * @param {string} [options.redirects='same-page'] - Redirects that are fine:
+ *   'same-page' (scheme and trailing slash only), 'same-origin' or 'any'
+ * @param {Object[]} [options.signatures] - Error page signatures
+ * @param {boolean} [options.builtinSignatures=true] - Also detect common
+ *   CAPTCHA and bot-protection pages
+ * @param {boolean} [options.requireSelector=false] - Classify loads where the
+ *   selector matches nothing as `selector-missing` instead of extracting
+ *   from an empty match; leave off where an empty match is a real value,
+ *   e.g. a count dropping to 0
+ * @returns {Object} Compiled options
+ * @throws {Error} When an option is invalid
+ */
+export const compileAvailability = ({
+  redirects = 'same-page',
+  signatures = [],
+  builtinSignatures = true,
+  requireSelector = false
+} = {}) => {
+  if (!REDIRECT_POLICIES[redirects]) {
+    throw new Error(
+      `Invalid redirects "${redirects}". Available: ${Object.keys(REDIRECT_POLICIES).join(', ')}`
+    );
+  }
+  if (!Array.isArray(signatures)) {
+    throw new Error('"availability.signatures" must be a list');
+  }
+
+  const compiled = [
+    ...signatures,
+    ...(builtinSignatures ? BUILTIN_SIGNATURES : [])
+  ].map(({ text, selector, as = 'blocked' }, index) => {
+    if (!text && !selector) {
+      throw new Error(`Signature #${index + 1} needs a "text" or a "selector"`);
+    }
+    if (as === 'ok' || !LOAD_CLASSES.includes(as)) {
+      throw new Error(
+        `Invalid signature class "${as}". Available: ${LOAD_CLASSES.slice(1).join(', ')}`
+      );
+    }
+    return {
+      ...(text && { text, regex: new RegExp(text, 'i') }),
+      ...(selector && { selector }),
+      as
+    };
+  });
+
+  return {
+    redirects,
+    isExpectedUrl: REDIRECT_POLICIES[redirects],
+    signatures: compiled,
+    requireSelector
+  };
+};
+
+/**
+ * Classify a load by its response, before looking at the content
+ * @param {Object} availability - Options from compileAvailability
+ * @param {Object} load - Navigation result, checks are skipped for missing fields
+ * @param {number|null} [load.status] - HTTP status
+ * @param {string} load.requestedUrl - Target URL
+ * @param {string} [load.finalUrl] - URL after redirects
+ * @throws {UnavailableError} On an error status or a redirect away from the target
+ */
+export const assertResponseOk = (
+  availability,
+  { status, requestedUrl, finalUrl }
+) => {
+  if (status >= 400) {
+    throw new UnavailableError('http-error', `HTTP ${status}`);
+  }
+  if (
+    finalUrl &&
+    !availability.isExpectedUrl(new URL(requestedUrl), new URL(finalUrl))
+  ) {
+    throw new UnavailableError('redirected-away', `redirected to ${finalUrl}`);
+  }
+};
+
+/**
+ * Collect what content classification needs from a document
+ * Serialized and run inside the page as well, so it must be self-contained.
+ * @param {Object} probe - What to look for
+ * @param {string|null} probe.selector - Monitored selector, null to skip the check
+ * @param {string[]} probe.selectors - Signature selectors
+ * @param {Document} [root=document] - Document, the page's own by default
+ * @returns {{text: string, selectorFound: boolean, matched: string[]}} Page
+ *   text, whether the selector matched and the signature selectors found
+ */
+export const inspectDocument = ({ selector, selectors }, root = document) => ({
+  text: (root.body?.textContent || '').slice(0, 100000),
+  selectorFound: !selector || root.querySelector(selector) !== null,
+  matched: selectors.filter((s) => root.querySelector(s) !== null)
+});
+
+/**
+ * Build the probe for inspectDocument
+ * @param {Object} availability - Options from compileAvailability
+ * @param {string|null} selector - Monitored selector, null when the content
+ *   does not come from the DOM
+ * @returns {Object} Probe
+ */
+export const buildProbe = (availability, selector) => ({
+  selector: availability.requireSelector ? selector : null,
+  selectors: availability.signatures
+    .filter((signature) => signature.selector)
+    .map((signature) => signature.selector)
+});
+
+/**
+ * Classify a load by its content
+ * @param {Object} availability - Options from compileAvailability
+ * @param {Object} inspection - Result of inspectDocument
+ * @throws {UnavailableError} When an error page signature matches or the
+ *   selector is missing
+ */
+export const assertContentOk = (
+  availability,
+  { text, selectorFound, matched }
+) => {
+  const signature = availability.signatures.find(
+    (candidate) =>
+      (candidate.selector && matched.includes(candidate.selector)) ||
+      (candidate.regex && candidate.regex.test(text))
+  );
+  if (signature) {
+    throw new UnavailableError(
+      signature.as,
+      `page matches ${signature.selector ?? `/${signature.text}/`}`
+    );
+  }
+  if (!selectorFound) {
+    throw new UnavailableError('selector-missing', 'selector matched nothing');
+  }
+};
@@ -0,0 +1,351 @@
+import fs from 'fs/promises';
+import puppeteer from 'puppeteer';
+import { BROWSER_CONFIG } from './config.js';
+import { defaultLogger } from './logger.js';
+
+const PAGE_SIZE = 4096;
+
+/**
+ * Resident memory of a process and all of its descendants
+ * Chromium runs renderers and the GPU process as children of the main process,
+ * so the whole tree is counted. Only works where /proc is available (Linux).
+ * @param {number} pid - Root process id
+ * @returns {Promise<number|null>} Memory in bytes, or null when it cannot be measured
+ */
+const processTreeMemory = async (pid) => {
+  try {
+    const children = new Map();
+
+    for (const entry of await fs.readdir('/proc')) {
+      if (!/^\d+$/.test(entry)) {
+        continue;
+      }
+      const stat = await fs
+        .readFile(`/proc/${entry}/stat`, 'utf8')
+        .catch(() => null);
+      // The process name may contain spaces, the parent pid follows it
+      const ppid = stat?.slice(stat.lastIndexOf(')') + 2).split(' ')[1];
+      if (ppid) {
+        children.set(ppid, [...(children.get(ppid) || []), entry]);
+      }
+    }
+
+    let total = 0;
+    const queue = [String(pid)];
+    while (queue.length) {
+      const current = queue.shift();
+      const statm = await fs
+        .readFile(`/proc/${current}/statm`, 'utf8')
+        .catch(() => null);
+      if (statm) {
+        total += Number(statm.split(' ')[1]) * PAGE_SIZE;
+      }
+      queue.push(...(children.get(current) || []));
+    }
+
+    return total;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Owns a single Puppeteer browser that can be shared by several monitors
+ *
+ * The browser is launched lazily on first use and reused afterwards. It is
+ * relaunched after a crash or disconnect, recycled after a number of checks
+ * or when it grows above a memory limit, and the number of pages open at
+ * the same time is capped across all monitors sharing it.
+ */
+export class BrowserManager {
+  /**
+   * Create a new BrowserManager instance
+   * @param {Object} [options] - Browser options
+   * @param {boolean} [options.headless=true] - Run browser in headless mode
+   * @param {string} [options.browser='chrome'] - Browser to use ('chrome' or 'firefox')
+   * @param {string} [options.userAgent] - User agent override
+   * @param {number} [options.maxPages=4] - Maximum pages open at the same time, others wait
+   * @param {number} [options.recycleAfter=0] - Restart the browser after this many checks (0 = never)
+   * @param {number} [options.maxMemoryMB=0] - Restart the browser above this memory usage (0 = never)
+   * @param {Object} [options.logger] - Logger, see Logger
+   */
+  constructor(options = {}) {
+    this.options = {
+      headless: true,
+      browser: 'chrome',
+      maxPages: 4,
+      recycleAfter: 0,
+      maxMemoryMB: 0,
+      ...options
+    };
+    this.log = this.options.logger || defaultLogger;
+
+    this.browser = null;
+    this.launching = null;
+    this.activePages = 0;
+    this.waiting = [];
+    this.isolatedContexts = new Map();
+    this.recyclePending = null;
+    this.recycling = null;
+    this.checksSinceLaunch = 0;
+    this.stats = {
+      launches: 0,
+      recycles: 0,
+      crashes: 0,
+      lastCrash: null,
+      lastRecycle: null,
+      memoryMB: null
+    };
+  }
+
+  /**
+   * Get the shared browser, launching it if needed
+   * @returns {Promise<import('puppeteer').Browser>} Running browser instance
+   * @throws {Error} When the browser fails to launch
+   */
+  async getBrowser() {
+    // A browser that died without emitting 'disconnected' counts as a crash too
+    if (this.browser && !this.browser.connected) {
+      this.handleDisconnect(this.browser);
+    }
+
+    if (this.browser) {
+      return this.browser;
+    }
+
+    // Concurrent callers wait for the same launch
+    if (!this.launching) {
+      this.launching = this.launch().finally(() => {
+        this.launching = null;
+      });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * Launch a new browser with modern Puppeteer settings
+   * @returns {Promise<import('puppeteer').Browser>} Launched browser instance
+   */
+  async launch() {
+    const launchOptions = {
+      // Use new headless mode in Puppeteer v24+
+      headless: this.options.headless,
+      ...BROWSER_CONFIG,
+      args: [
+        ...BROWSER_CONFIG.args,
+        `--user-agent=${this.options.userAgent || BROWSER_CONFIG.userAgent}`
+      ]
+    };
+
+    // Use specific browser if configured
+    if (this.options.browser === 'firefox') {
+      launchOptions.browser = 'firefox';
+    }
+
+    const browser = await puppeteer.launch(launchOptions);
+    browser.on('disconnected', () => this.handleDisconnect(browser));
+
+    this.browser = browser;
+    this.checksSinceLaunch = 0;
+    this.stats.launches += 1;
+    this.log.info(`🌐 Browser launched (${this.describeStats()})`);
+
+    return browser;
+  }
+
+  /**
+   * Forget a browser that went away without being closed by us
+   * The next page request launches a fresh one
+   * @param {import('puppeteer').Browser} browser - Disconnected browser
+   */
+  handleDisconnect(browser) {
+    // Closed on purpose, or already handled
+    if (browser !== this.browser) {
+      return;
+    }
+
+    this.browser = null;
+    this.stats.crashes += 1;
+    this.stats.lastCrash = new Date().toISOString();
+    this.log.error(
+      `💥 Browser disconnected unexpectedly, relaunching on next check (${this.describeStats()})`
+    );
+  }
+
+  /**
+   * Open a new page, waiting for a free slot when the page limit is reached
+   * Every page must be handed back through releasePage
+   * @param {Object} [options] - Page options
+   * @param {boolean} [options.isolated=false] - Open the page in its own browser context,
+   *   with cookies and storage not shared with other pages
+   * @returns {Promise<import('puppeteer').Page>} New page
+   * @throws {Error} When the browser fails to launch or open the page
+   */
+  async newPage({ isolated = false } = {}) {
+    await this.acquireSlot();
+
+    try {
+      const browser = await this.getBrowser();
+      if (!isolated) {
+        return await browser.newPage();
+      }
+
+      const context = await browser.createBrowserContext();
+      const page = await context.newPage().catch(async (error) => {
+        await context.close().catch(() => {});
+        throw error;
+      });
+      this.isolatedContexts.set(page, context);
+      return page;
+    } catch (error) {
+      this.releaseSlot();
+      throw error;
+    }
+  }
+
+  /**
+   * Close a page opened through newPage and count the finished check
+   * @param {import('puppeteer').Page} page - Page to close
+   */
+  async releasePage(page) {
+    await page.close().catch(() => {});
+    if (this.isolatedContexts.has(page)) {
+      await this.isolatedContexts
+        .get(page)
+        .close()
+        .catch(() => {});
+      this.isolatedContexts.delete(page);
+    }
+    this.checksSinceLaunch += 1;
+
+    const { recycleAfter, maxMemoryMB } = this.options;
+    if (
+      !this.recyclePending &&
+      recycleAfter > 0 &&
+      this.checksSinceLaunch >= recycleAfter
+    ) {
+      this.recyclePending = `after ${this.checksSinceLaunch} checks`;
+    }
+    if (!this.recyclePending && maxMemoryMB > 0) {
+      const memoryMB = await this.measureMemory();
+      if (memoryMB !== null && memoryMB > maxMemoryMB) {
+        this.recyclePending = `using ${memoryMB} MB (limit ${maxMemoryMB} MB)`;
+      }
+    }
+
+    await this.releaseSlot();
+  }
+
+  /**
+   * Wait for a free page slot
+   * No new pages are handed out while a recycle is waiting for open pages to close
+   * @returns {Promise<void>}
+   */
+  acquireSlot() {
+    if (
+      !this.recyclePending &&
+      this.activePages < this.options.maxPages &&
+      this.waiting.length === 0
+    ) {
+      this.activePages += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  /**
+   * Free a page slot, recycling the browser once idle if requested,
+   * and hand slots to waiting callers
+   */
+  async releaseSlot() {
+    this.activePages -= 1;
+
+    if (this.recyclePending && this.activePages === 0 && !this.recycling) {
+      this.recycling = this.recycle().finally(() => {
+        this.recycling = null;
+      });
+    }
+    if (this.recycling) {
+      await this.recycling;
+    }
+
+    while (
+      !this.recyclePending &&
+      this.waiting.length > 0 &&
+      this.activePages < this.options.maxPages
+    ) {
+      this.activePages += 1;
+      this.waiting.shift()();
+    }
+  }
+
+  /**
+   * Close the idle browser so the next page request launches a fresh one
+   */
+  async recycle() {
+    this.log.info(`♻️  Recycling browser ${this.recyclePending}`);
+    await this.close();
+    this.stats.recycles += 1;
+    this.stats.lastRecycle = new Date().toISOString();
+    this.recyclePending = null;
+  }
+
+  /**
+   * Measure the memory used by the browser and remember it for the stats
+   * @returns {Promise<number|null>} Memory in MB, or null when not measurable
+   */
+  async measureMemory() {
+    const pid = this.browser?.process()?.pid;
+    const bytes = pid ? await processTreeMemory(pid) : null;
+
+    this.stats.memoryMB = bytes === null ? null : Math.round(bytes / 1048576);
+    return this.stats.memoryMB;
+  }
+
+  /**
+   * Browser statistics for logs and the status API
+   * @returns {Object} Launch, recycle and crash counts, last crash time,
+   *   open and queued pages, checks since launch and last measured memory
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      connected: this.isConnected(),
+      openPages: this.activePages,
+      queuedPages: this.waiting.length,
+      maxPages: this.options.maxPages,
+      checksSinceLaunch: this.checksSinceLaunch
+    };
+  }
+
+  /**
+   * One-line summary of the stats for log messages
+   * @returns {string} Summary
+   */
+  describeStats() {
+    const { launches, recycles, crashes } = this.stats;
+    return `launch #${launches}, ${recycles} recycle(s), ${crashes} crash(es), ${this.activePages} open page(s)`;
+  }
+
+  /**
+   * Whether a launched browser is still connected
+   * @returns {boolean|null} Connection state, or null when no browser was launched yet
+   */
+  isConnected() {
+    return this.browser ? this.browser.connected : null;
+  }
+
+  /**
+   * Close the browser if it is running
+   */
+  async close() {
+    if (this.browser) {
+      const browser = this.browser;
+      // Unset first so the 'disconnected' event is not taken for a crash
+      this.browser = null;
+      this.checksSinceLaunch = 0;
+      await browser.close().catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,393 @@
+import { BrowserManager } from './browser-manager.js';
+import {
+  extractContent,
+  extractFromDocument,
+  listStrategies
+} from './extractors.js';
+import { fetchDocument } from './http-fetcher.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { computeDiff } from './content-diff.js';
+import { applyStealthTechniques, waitForLazyContent } from './stealth-utils.js';
+import {
+  createNotifier,
+  defaultNotifierDefinitions
+} from './notifiers/index.js';
+import { loadConfig, describeSettings } from './config-loader.js';
+import {
+  main,
+  createMonitors,
+  resolveTargets,
+  notifierDefaults
+} from './main.js';
+
+const USAGE = `Usage: te-monitor <command> [options]
+
+Commands:
+   run                            Monitor all targets until stopped
+   check [target]                 Check once; exit 1 on change, 2 on error
+   test-selector <url> <selector> Print what every extraction strategy returns
+                                  (--attribute, --timeout, --user-agent)
+   test-stability [target]        Load a target several times (--runs, default 3)
+                                  and print what varies between loads
+   state show [target]            Print the current baseline
+   state clear [target]           Forget the baseline, the next check starts over
+   state history [target]         Print recent checks (--limit, default 20)
+   notify test <channel>          Send a sample alert through a notifier
+
+Options (environment variable, flag):
+${describeSettings()}`;
+
+/**
+ * Remove a command-specific option from the arguments
+ * @param {string[]} args - Command line arguments, modified in place
+ * @param {string} name - Option name without dashes
+ * @param {boolean} [hasValue=false] - Whether the option takes a value
+ * @returns {string|boolean|undefined} Option value, true for a present flag
+ */
+const takeOption = (args, name, hasValue = false) => {
+  const index = args.findIndex(
+    (arg) => arg === `--${name}` || arg.startsWith(`--${name}=`)
+  );
+  if (index === -1) {
+    return undefined;
+  }
+
+  const [arg] = args.splice(index, 1);
+  if (!hasValue) {
+    return true;
+  }
+  return arg.includes('=')
+    ? arg.slice(arg.indexOf('=') + 1)
+    : args.splice(index, 1)[0];
+};
+
+/**
+ * Create the monitors, keeping only the requested target
+ * @param {Object} config - Configuration from loadConfig
+ * @param {string} [targetId] - Target id, all targets when omitted
+ * @returns {Promise<{monitors: Object[], browserManager: BrowserManager, onAlert: Function}>}
+ * @throws {Error} When no target has the id
+ */
+const selectMonitors = async (config, targetId) => {
+  if (!config.url && !config.targetsFile) {
+    throw new Error('Set MONITOR_URL or MONITOR_TARGETS_FILE');
+  }
+
+  const { monitors, browserManager, onAlert } = await createMonitors(config);
+  const selected = targetId
+    ? monitors.filter((monitor) => monitor.id === targetId)
+    : monitors;
+
+  if (selected.length === 0) {
+    throw new Error(
+      `Unknown target "${targetId}". Available: ${monitors.map((m) => m.id).join(', ')}`
+    );
+  }
+
+  return { monitors: selected, browserManager, onAlert };
+};
+
+/**
+ * Run each target's check once
+ * @param {Object} config - Configuration from loadConfig
+ * @param {string[]} positionals - `[target]`
+ * @returns {Promise<number>} Exit code: 0 unchanged, 1 changed, 2 error
+ */
+const checkOnce = async (config, [targetId]) => {
+  const { monitors, browserManager, onAlert } = await selectMonitors(
+    config,
+    targetId
+  );
+  let exitCode = 0;
+
+  try {
+    for (const monitor of monitors) {
+      const result = await monitor.checkForChanges();
+      const value = JSON.stringify(result.state?.value ?? null);
+
+      console.log(
+        `${monitor.id}: ${result.outcome}${result.error ? ` (${result.error})` : ` ${value}`}`
+      );
+      if (result.outcome === 'error') {
+        exitCode = 2;
+      } else if (result.outcome === 'changed' && exitCode === 0) {
+        exitCode = 1;
+      }
+    }
+  } finally {
+    await browserManager.close();
+    await onAlert.flush?.();
+  }
+
+  return exitCode;
+};
+
+/**
+ * Print what every extraction strategy returns for a selector
+ * @param {Object} config - Configuration from loadConfig
+ * @param {string[]} positionals - `<url> <selector>`
+ * @param {Object} options - Command options
+ * @param {string} options.attribute - Attribute used by the attribute strategy
+ * @param {number} options.timeout - Load timeout in milliseconds
+ * @param {string} [options.userAgent] - User agent override
+ * @returns {Promise<number>} Exit code, 1 when nothing matches
+ */
+const testSelector = async (
+  config,
+  [url, selector],
+  { attribute, timeout, userAgent }
+) => {
+  if (!url || !selector) {
+    throw new Error('Usage: te-monitor test-selector <url> <selector>');
+  }
+
+  const specs = listStrategies({ standalone: true }).map((name) =>
+    name === 'attribute' ? `attribute:${attribute}` : name
+  );
+  let browserManager = null;
+  let matched = 0;
+
+  try {
+    let extractAll;
+    if (config.mode === 'http') {
+      const { document } = await fetchDocument(url, { timeout, userAgent });
+      extractAll = async (spec) =>
+        extractFromDocument(document, selector, spec);
+    } else {
+      const { type: browser, ...browserOptions } = config.browser;
+      browserManager = new BrowserManager({
+        browser,
+        ...browserOptions,
+        userAgent
+      });
+      const page = await browserManager.newPage();
+      await applyStealthTechniques(page);
+      await page.goto(url, {
+        waitUntil: ['domcontentloaded', 'networkidle2'],
+        timeout
+      });
+      await waitForLazyContent(page);
+      extractAll = (spec) => extractContent(page, selector, spec);
+    }
+
+    for (const spec of specs) {
+      try {
+        const { value } = await extractAll(spec);
+        if (spec === 'count') {
+          matched = value;
+        }
+        console.log(`${spec}: ${JSON.stringify(value)}`);
+      } catch (error) {
+        console.log(`${spec}: failed (${error.message})`);
+      }
+    }
+  } finally {
+    await browserManager?.close();
+  }
+
+  if (matched === 0) {
+    console.log(`\n⚠️  No elements match ${selector}`);
+    return 1;
+  }
+  return 0;
+};
+
+/**
+ * Load targets several times and print the parts that vary between loads
+ * @param {Object} config - Configuration from loadConfig
+ * @param {string[]} positionals - `[target]`
+ * @param {Object} options - Command options
+ * @param {number} options.runs - Loads per target
+ * @returns {Promise<number>} Exit code: 0 stable, 1 varying, 2 error
+ */
+const testStability = async (config, [targetId], { runs }) => {
+  const { monitors, browserManager } = await selectMonitors(config, targetId);
+  let exitCode = 0;
+
+  try {
+    for (const monitor of monitors) {
+      try {
+        const report = await monitor.testStability({ runs });
+        if (report.stable) {
+          console.log(`✅ ${monitor.id}: stable across ${runs} loads`);
+          continue;
+        }
+
+        exitCode = Math.max(exitCode, 1);
+        console.log(
+          `⚠️  ${monitor.id}: ${report.fingerprints} different fingerprints in ${runs} loads`
+        );
+        for (const { first, variants, suggest } of report.varying) {
+          console.log(`   - ${JSON.stringify(first)}`);
+          for (const variant of variants) {
+            console.log(`     + ${JSON.stringify(variant)}`);
+          }
+          if (suggest.length > 0) {
+            console.log(`     normalize with: ${suggest.join(', ')}`);
+          }
+        }
+      } catch (error) {
+        exitCode = 2;
+        console.log(`❌ ${monitor.id}: ${error.message}`);
+      }
+    }
+  } finally {
+    await browserManager.close();
+  }
+
+  return exitCode;
+};
+
+/**
+ * Show, clear or list the stored state of targets
+ * @param {Object} config - Configuration from loadConfig
+ * @param {string[]} positionals - `<show|clear|history> [target]`
+ * @param {Object} options - Command options
+ * @param {number} options.limit - Number of history records
+ * @returns {Promise<number>} Exit code
+ */
+const state = async (config, [action, targetId], { limit }) => {
+  const actions = ['show', 'clear', 'history'];
+  if (!actions.includes(action)) {
+    throw new Error(`Usage: te-monitor state <${actions.join('|')}> [target]`);
+  }
+
+  const { monitors } = await selectMonitors(config, targetId);
+
+  for (const monitor of monitors) {
+    if (action === 'show') {
+      const baseline = await monitor.loadPreviousState();
+      console.log(
+        baseline
+          ? `${monitor.id}: ${JSON.stringify(baseline.value)} (${baseline.hash}, ${baseline.timestamp})`
+          : `${monitor.id}: no baseline`
+      );
+    } else if (action === 'clear') {
+      await monitor.resetState();
+      console.log(`✅ ${monitor.id}: state cleared`);
+    } else {
+      console.log(`${monitor.id}:`);
+      for (const record of await monitor.getHistory({ limit })) {
+        const detail = record.error ?? JSON.stringify(record.value ?? null);
+        console.log(
+          `   ${record.timestamp} ${record.outcome}${record.outcome === 'reset' ? '' : ` ${detail}`}`
+        );
+      }
+    }
+  }
+
+  return 0;
+};
+
+/**
+ * Send a sample alert through one notifier
+ * @param {Object} config - Configuration from loadConfig
+ * @param {string[]} positionals - `test <channel>`
+ * @returns {Promise<number>} Exit code, 1 when sending failed
+ */
+const notify = async (config, [action, channel]) => {
+  if (action !== 'test' || !channel) {
+    throw new Error('Usage: te-monitor notify test <channel>');
+  }
+
+  const defaults = notifierDefaults(config);
+  const { notifiers } =
+    config.url || config.targetsFile
+      ? await resolveTargets(config)
+      : { notifiers: null };
+  const definitions = notifiers || defaultNotifierDefinitions(defaults);
+  const definition = definitions.find(
+    ({ name, type }) => (name || type) === channel
+  );
+
+  if (!definition) {
+    throw new Error(
+      `Unknown notifier "${channel}". Configured: ${definitions.map(({ name, type }) => name || type).join(', ') || 'none'}`
+    );
+  }
+
+  const alert = {
+    type: 'change',
+    severity: 'warning',
+    message: 'Test alert from te-monitor',
+    timestamp: new Date().toISOString(),
+    target: 'test',
+    url: 'https://example.com',
+    selector: 'body',
+    previousValue: 'before',
+    currentValue: 'after',
+    diff: computeDiff('before', 'after')
+  };
+
+  try {
+    const { send } = createNotifier(definition, defaults);
+    await send(alert, {});
+    await send.flush?.();
+    console.log(`✅ Test alert sent via ${channel}`);
+    return 0;
+  } catch (error) {
+    console.error(`❌ Sending via ${channel} failed: ${error.message}`);
+    return 1;
+  }
+};
+
+/**
+ * Commands that run once and exit
+ * Each receives the configuration, the positional arguments after the
+ * command name and the command options, and returns an exit code.
+ * @type {Object<string, Function>}
+ */
+const commands = {
+  check: checkOnce,
+  'test-selector': testSelector,
+  'test-stability': testStability,
+  state,
+  notify
+};
+
+/**
+ * Run the command line interface
+ * @param {string[]} [argv] - Command line arguments, defaults to the process arguments
+ * @returns {Promise<void>}
+ */
+export const runCli = async (argv = process.argv.slice(2)) => {
+  const [command, ...rest] = argv;
+
+  if (command === 'run') {
+    return main(undefined, undefined, { args: rest });
+  }
+  if (!commands[command]) {
+    console.log(USAGE);
+    process.exit(command && command !== 'help' ? 1 : 0);
+  }
+
+  const args = [...rest];
+  // Still accepted from `check --once` scripts, every CLI check runs once
+  takeOption(args, 'once');
+  const options = {
+    limit: Number(takeOption(args, 'limit', true) ?? 20),
+    runs: Number(takeOption(args, 'runs', true) ?? 3),
+    attribute: takeOption(args, 'attribute', true) ?? 'href',
+    timeout: Number(
+      takeOption(args, 'timeout', true) ?? DEFAULT_CONFIG.timeout
+    ),
+    userAgent: takeOption(args, 'user-agent', true)
+  };
+
+  try {
+    if (!Number.isInteger(options.limit) || options.limit < 1) {
+      throw new Error('--limit must be a positive whole number');
+    }
+    if (!Number.isInteger(options.runs) || options.runs < 2) {
+      throw new Error('--runs must be a whole number of at least 2');
+    }
+    if (!Number.isInteger(options.timeout) || options.timeout < 1) {
+      throw new Error('--timeout must be a positive whole number');
+    }
+    const { config, positionals } = await loadConfig({ args });
+    process.exit(await commands[command](config, positionals, options));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+};
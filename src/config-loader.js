@@ -0,0 +1,628 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { parseCron } from './scheduler.js';
+
+/**
+ * Application settings
+ *
+ * Every setting is resolved from, in increasing order of precedence:
+ * 1. the default below
+ * 2. the config file (`--config` / MONITOR_CONFIG), using the nested keys, e.g. `http: { port: 8080 }`
+ * 3. the environment variable
+ * 4. the command line flag
+ *
+ * Secrets have no flag, so they never show up in the process list.
+ *
+ * @type {Array<{key: string, env?: string, flag?: string, type: string,
+ *   default?: any, choices?: string[], min?: number, max?: number,
+ *   secret?: boolean, description: string}>}
+ */
+export const SETTINGS = [
+  {
+    key: 'configFile',
+    env: 'MONITOR_CONFIG',
+    flag: 'config',
+    type: 'string',
+    description: 'YAML/JSON file with these settings'
+  },
+  {
+    key: 'targetsFile',
+    env: 'MONITOR_TARGETS_FILE',
+    flag: 'targets',
+    type: 'string',
+    description: 'JSON/YAML file listing targets (replaces url)'
+  },
+  {
+    key: 'url',
+    env: 'MONITOR_URL',
+    flag: 'url',
+    type: 'url',
+    description: 'URL to monitor'
+  },
+  {
+    key: 'selector',
+    env: 'MONITOR_SELECTOR',
+    flag: 'selector',
+    type: 'string',
+    default: 'body',
+    description: 'CSS selector to monitor'
+  },
+  {
+    key: 'extract',
+    env: 'MONITOR_EXTRACT',
+    flag: 'extract',
+    type: 'string',
+    default: 'count',
+    description: 'Extraction strategy, e.g. text or attribute:href'
+  },
+  {
+    key: 'mode',
+    env: 'MONITOR_MODE',
+    flag: 'mode',
+    type: 'enum',
+    choices: ['browser', 'http', 'auto'],
+    default: 'browser',
+    description: 'browser, http or auto (http with browser fallback)'
+  },
+  {
+    key: 'interval',
+    env: 'MONITOR_INTERVAL',
+    flag: 'interval',
+    type: 'integer',
+    min: 1000,
+    default: 10 * 60 * 1000,
+    description: 'Check interval in ms'
+  },
+  {
+    key: 'cron',
+    env: 'MONITOR_CRON',
+    flag: 'cron',
+    type: 'cron',
+    description:
+      'Cron schedule replacing the interval, e.g. "*/15 8-18 * * 1-5"'
+  },
+  {
+    key: 'timezone',
+    env: 'MONITOR_TIMEZONE',
+    flag: 'timezone',
+    type: 'timezone',
+    description: 'Time zone of the cron schedule'
+  },
+  {
+    key: 'webhook',
+    env: 'MONITOR_WEBHOOK',
+    flag: 'webhook',
+    type: 'url',
+    description: 'Webhook URL for alerts'
+  },
+  {
+    key: 'stateFile',
+    env: 'MONITOR_STATE_FILE',
+    flag: 'state-file',
+    type: 'string',
+    description: 'State file of the single url target'
+  },
+  {
+    key: 'debug',
+    env: 'MONITOR_DEBUG',
+    flag: 'debug',
+    type: 'boolean',
+    default: false,
+    description: 'Enable debug logging, same as --log-level debug'
+  },
+  {
+    key: 'log.level',
+    env: 'MONITOR_LOG_LEVEL',
+    flag: 'log-level',
+    type: 'enum',
+    choices: ['trace', 'debug', 'info', 'warn', 'error', 'silent'],
+    default: 'info',
+    description: 'Least severe log level written'
+  },
+  {
+    key: 'log.format',
+    env: 'MONITOR_LOG_FORMAT',
+    flag: 'log-format',
+    type: 'enum',
+    choices: ['pretty', 'json'],
+    default: 'pretty',
+    description: 'Log as readable lines or one JSON object per line'
+  },
+  {
+    key: 'clearState',
+    env: 'MONITOR_CLEAR_STATE',
+    flag: 'clear-state',
+    type: 'boolean',
+    default: false,
+    description: 'Clear previous state before starting'
+  },
+  {
+    key: 'printConfig',
+    env: 'MONITOR_PRINT_CONFIG',
+    flag: 'print-config',
+    type: 'boolean',
+    default: false,
+    description: 'Print the effective configuration and exit'
+  },
+  {
+    key: 'http.port',
+    env: 'MONITOR_HTTP_PORT',
+    flag: 'http-port',
+    type: 'integer',
+    min: 1,
+    max: 65535,
+    description: 'Enable the dashboard and control/status API on this port'
+  },
+  {
+    key: 'http.host',
+    env: 'MONITOR_HTTP_HOST',
+    flag: 'http-host',
+    type: 'string',
+    default: '127.0.0.1',
+    description:
+      'Interface the control/status API binds to, 0.0.0.0 for every interface'
+  },
+  {
+    key: 'http.token',
+    env: 'MONITOR_HTTP_TOKEN',
+    type: 'string',
+    secret: true,
+    description:
+      'Token the control/status API requires, as a bearer token or /?token= for the dashboard'
+  },
+  {
+    key: 'http.metrics',
+    env: 'MONITOR_METRICS',
+    flag: 'metrics',
+    type: 'boolean',
+    default: false,
+    description: 'Serve Prometheus metrics on /metrics of the control API'
+  },
+  {
+    key: 'browser.type',
+    env: 'MONITOR_BROWSER',
+    flag: 'browser',
+    type: 'enum',
+    choices: ['chrome', 'firefox'],
+    default: 'chrome',
+    description: 'Browser to use'
+  },
+  {
+    key: 'browser.headless',
+    env: 'MONITOR_HEADLESS',
+    flag: 'headless',
+    type: 'boolean',
+    default: true,
+    description: 'Run the browser without a window'
+  },
+  {
+    key: 'browser.maxPages',
+    env: 'MONITOR_MAX_PAGES',
+    flag: 'max-pages',
+    type: 'integer',
+    min: 1,
+    default: 4,
+    description: 'Pages open at the same time across targets'
+  },
+  {
+    key: 'browser.recycleAfter',
+    env: 'MONITOR_BROWSER_RECYCLE_AFTER',
+    flag: 'browser-recycle-after',
+    type: 'integer',
+    min: 0,
+    default: 0,
+    description: 'Restart the browser after this many checks (0 = never)'
+  },
+  {
+    key: 'browser.maxMemoryMB',
+    env: 'MONITOR_BROWSER_MAX_MEMORY',
+    flag: 'browser-max-memory',
+    type: 'integer',
+    min: 0,
+    default: 0,
+    description: 'Restart the browser above this many MB (0 = never)'
+  },
+  {
+    key: 'email.transport',
+    env: 'EMAIL_TRANSPORT',
+    flag: 'email-transport',
+    type: 'enum',
+    choices: ['smtp', 'stream', 'file'],
+    default: 'smtp',
+    description:
+      'Send alert emails over SMTP, print them (stream) or write .eml files'
+  },
+  {
+    key: 'email.host',
+    env: 'SMTP_HOST',
+    flag: 'smtp-host',
+    type: 'string',
+    description: 'SMTP server, Gmail when unset'
+  },
+  {
+    key: 'email.port',
+    env: 'SMTP_PORT',
+    flag: 'smtp-port',
+    type: 'integer',
+    min: 1,
+    max: 65535,
+    description: 'SMTP port (default 587, or 465 with SMTP_SECURE)'
+  },
+  {
+    key: 'email.secure',
+    env: 'SMTP_SECURE',
+    flag: 'smtp-secure',
+    type: 'boolean',
+    description:
+      'Use TLS from the start instead of STARTTLS (default on port 465)'
+  },
+  {
+    key: 'email.user',
+    env: 'GMAIL_USER',
+    type: 'string',
+    description: 'SMTP user, the Gmail account when SMTP_HOST is unset'
+  },
+  {
+    key: 'email.password',
+    env: 'GMAIL_APP_PASSWORD',
+    type: 'string',
+    secret: true,
+    description: 'SMTP password, a Gmail app password for Gmail'
+  },
+  {
+    key: 'email.from',
+    env: 'EMAIL_FROM',
+    flag: 'email-from',
+    type: 'string',
+    description: 'Alert email sender, defaults to the SMTP user'
+  },
+  {
+    key: 'email.dir',
+    env: 'EMAIL_DIR',
+    flag: 'email-dir',
+    type: 'string',
+    default: 'mail',
+    description: 'Directory the file transport writes emails to'
+  },
+  {
+    key: 'email.digestWindow',
+    env: 'EMAIL_DIGEST_WINDOW',
+    flag: 'email-digest-window',
+    type: 'integer',
+    min: 0,
+    default: 0,
+    description: 'Batch alert emails over this many milliseconds (0 = off)'
+  },
+  {
+    key: 'email.to',
+    env: 'EMAIL_TO',
+    flag: 'email-to',
+    type: 'string',
+    description: 'Alert email recipient'
+  },
+  {
+    key: 'homebridge.host',
+    env: 'HB_HOST',
+    type: 'string',
+    description: 'Homebridge host for lamp alerts'
+  },
+  {
+    key: 'homebridge.port',
+    env: 'HB_PORT',
+    type: 'integer',
+    min: 1,
+    max: 65535,
+    default: 8581,
+    description: 'Homebridge UI port'
+  },
+  {
+    key: 'homebridge.username',
+    env: 'HB_USER',
+    type: 'string',
+    description: 'Homebridge UI username'
+  },
+  {
+    key: 'homebridge.password',
+    env: 'HB_PWD',
+    type: 'string',
+    secret: true,
+    description: 'Homebridge UI password'
+  },
+  {
+    key: 'homebridge.accessory',
+    env: 'ACCESSORY',
+    type: 'string',
+    description: 'Default lamp accessory uniqueId'
+  }
+];
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Value parsers by setting type
+ * Each receives a raw value (a string from the environment or the command
+ * line, any YAML/JSON value from the config file) and returns the parsed
+ * value or throws with a short reason.
+ * @type {Object<string, Function>}
+ */
+const parsers = {
+  string: (value) => String(value),
+
+  integer: (value, { min, max }) => {
+    const text = String(value).trim();
+    if (!/^-?\d+$/.test(text)) {
+      throw new Error('must be a whole number');
+    }
+    const number = Number(text);
+    if (min !== undefined && number < min) {
+      throw new Error(`must be at least ${min}`);
+    }
+    if (max !== undefined && number > max) {
+      throw new Error(`must be at most ${max}`);
+    }
+    return number;
+  },
+
+  boolean: (value) => {
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) {
+      return true;
+    }
+    if (FALSE_VALUES.includes(text)) {
+      return false;
+    }
+    throw new Error('must be true or false');
+  },
+
+  enum: (value, { choices }) => {
+    if (!choices.includes(String(value))) {
+      throw new Error(`must be one of ${choices.join(', ')}`);
+    }
+    return String(value);
+  },
+
+  url: (value) => {
+    try {
+      new URL(String(value));
+    } catch {
+      throw new Error('must be an absolute URL');
+    }
+    return String(value);
+  },
+
+  cron: (value) => {
+    parseCron(value);
+    return String(value);
+  },
+
+  timezone: (value) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: String(value) });
+    } catch {
+      throw new Error('must be an IANA time zone such as Europe/Berlin');
+    }
+    return String(value);
+  }
+};
+
+/**
+ * Look up a dot-separated key in a nested object
+ * @param {Object} data - Source object
+ * @param {string} key - Key such as `http.port`
+ * @returns {any} Value, or undefined
+ */
+const getPath = (data, key) =>
+  key.split('.').reduce((value, part) => value?.[part], data);
+
+/**
+ * Set a dot-separated key in a nested object
+ * @param {Object} data - Target object
+ * @param {string} key - Key such as `http.port`
+ * @param {any} value - Value to set
+ */
+const setPath = (data, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => (node[part] ??= {}), data);
+  parent[last] = value;
+};
+
+/**
+ * List the dot-separated leaf keys of a nested object
+ * @param {Object} data - Source object
+ * @param {string} [prefix=''] - Key prefix
+ * @returns {string[]} Leaf keys
+ */
+const leafKeys = (data, prefix = '') =>
+  Object.entries(data).flatMap(([key, value]) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? leafKeys(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  );
+
+/**
+ * Split command line arguments into flags and positional arguments
+ * Supports `--name value`, `--name=value`, `--flag` and `--no-flag` for booleans
+ * @param {string[]} args - Command line arguments
+ * @returns {{flags: Object<string, string>, positionals: string[], errors: string[]}}
+ */
+const parseArgs = (args) => {
+  const byFlag = new Map(
+    SETTINGS.filter((s) => s.flag).map((s) => [s.flag, s])
+  );
+  const flags = {};
+  const positionals = [];
+  const errors = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const negated = name.startsWith('no-') && byFlag.get(name.slice(3));
+
+    if (negated?.type === 'boolean') {
+      flags[negated.flag] = 'false';
+    } else if (!byFlag.has(name)) {
+      errors.push(`Unknown option --${name}`);
+    } else if (inline !== undefined) {
+      flags[name] = inline;
+    } else if (byFlag.get(name).type === 'boolean') {
+      flags[name] = 'true';
+    } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+      flags[name] = args[++i];
+    } else {
+      errors.push(`Option --${name} needs a value`);
+    }
+  }
+
+  return { flags, positionals, errors };
+};
+
+/**
+ * Read a config file
+ * @param {string} filePath - JSON or YAML file
+ * @returns {Promise<Object>} Parsed settings
+ * @throws {Error} When the file cannot be read or parsed
+ */
+const readConfigFile = async (filePath) => {
+  const content = await fs.readFile(filePath, 'utf8');
+  const doc =
+    path.extname(filePath).toLowerCase() === '.json'
+      ? JSON.parse(content)
+      : YAML.parse(content);
+  return doc || {};
+};
+
+/**
+ * Load and validate the configuration
+ *
+ * Merges defaults, the config file, environment variables and command line
+ * flags (later ones win) and validates every value. Empty environment
+ * variables count as unset, as docker-compose passes unset ones as empty.
+ * All problems are reported at once.
+ *
+ * @param {Object} [options] - Sources
+ * @param {string[]} [options.args=[]] - Command line arguments
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @returns {Promise<{config: Object, sources: Object<string, string>, positionals: string[]}>}
+ *   Nested configuration, where each setting came from, and the
+ *   non-flag command line arguments
+ * @throws {Error} When any setting is invalid
+ */
+export const loadConfig = async ({ args = [], env = process.env } = {}) => {
+  const { flags, positionals, errors } = parseArgs(args);
+  const config = {};
+  const sources = {};
+
+  const apply = (setting, raw, source) => {
+    try {
+      setPath(config, setting.key, parsers[setting.type](raw, setting));
+      sources[setting.key] = source;
+    } catch (error) {
+      errors.push(`${source}: "${raw}" ${error.message}`);
+    }
+  };
+
+  for (const setting of SETTINGS) {
+    if (setting.default !== undefined) {
+      setPath(config, setting.key, setting.default);
+      sources[setting.key] = 'default';
+    }
+  }
+
+  const configFile = flags.config ?? (env.MONITOR_CONFIG || undefined);
+  if (configFile) {
+    try {
+      const fileSettings = await readConfigFile(configFile);
+      for (const key of leafKeys(fileSettings)) {
+        const setting = SETTINGS.find((s) => s.key === key);
+        if (!setting || setting.key === 'configFile') {
+          errors.push(`${configFile}: unknown setting "${key}"`);
+        } else {
+          apply(setting, getPath(fileSettings, key), `${configFile} (${key})`);
+        }
+      }
+    } catch (error) {
+      errors.push(`Cannot read config file ${configFile}: ${error.message}`);
+    }
+  }
+
+  for (const setting of SETTINGS) {
+    if (
+      setting.env &&
+      env[setting.env] !== undefined &&
+      env[setting.env] !== ''
+    ) {
+      apply(setting, env[setting.env], setting.env);
+    }
+  }
+
+  for (const setting of SETTINGS) {
+    if (setting.flag && flags[setting.flag] !== undefined) {
+      apply(setting, flags[setting.flag], `--${setting.flag}`);
+    }
+  }
+
+  if (config.homebridge?.host) {
+    for (const [key, name] of [
+      ['username', 'HB_USER'],
+      ['password', 'HB_PWD']
+    ]) {
+      if (!config.homebridge[key]) {
+        errors.push(`${name} is required when HB_HOST is set`);
+      }
+    }
+  }
+  if (config.http?.metrics && !config.http.port) {
+    errors.push('MONITOR_HTTP_PORT is required when MONITOR_METRICS is set');
+  }
+  if (config.email?.user && !config.email.password) {
+    errors.push('GMAIL_APP_PASSWORD is required when GMAIL_USER is set');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration:\n${errors.map((error) => `  - ${error}`).join('\n')}`
+    );
+  }
+
+  return { config, sources, positionals };
+};
+
+/**
+ * Format the effective configuration with secrets redacted
+ * @param {Object} config - Configuration returned by loadConfig
+ * @param {Object<string, string>} sources - Sources returned by loadConfig
+ * @returns {string} One `key = value (source)` line per set value
+ */
+export const formatConfig = (config, sources) =>
+  SETTINGS.filter((setting) => getPath(config, setting.key) !== undefined)
+    .map((setting) => {
+      const value = setting.secret
+        ? '********'
+        : JSON.stringify(getPath(config, setting.key));
+      return `${setting.key} = ${value} (${sources[setting.key]})`;
+    })
+    .join('\n');
+
+/**
+ * Describe every setting with its environment variable and flag
+ * @returns {string} Usage text
+ */
+export const describeSettings = () =>
+  SETTINGS.map((setting) => {
+    const names = [setting.env, setting.flag && `--${setting.flag}`]
+      .filter(Boolean)
+      .join(', ');
+    const fallback =
+      setting.default !== undefined
+        ? ` (default ${JSON.stringify(setting.default)})`
+        : '';
+    return `   ${names} - ${setting.description}${fallback}`;
+  }).join('\n');
@@ -12,6 +12,11 @@
  * @property {number} timeout - Timeout for browser operations in milliseconds
  * @property {boolean} debug - Whether to enable debug logging
  * @property {string} browser - Default browser to use
+ * @property {string} extract - Default extraction strategy
+ * @property {string} mode - How pages are loaded: 'browser', 'http' or 'auto'
+ * @property {number} historyMaxEntries - Maximum check history records per target
+ * @property {number} historyMaxAge - Maximum age of check history records in milliseconds (30 days)
+ * @property {Object} alertPolicy - Alert cooldown, failure threshold, recovery and flapping settings
  */
 export const DEFAULT_CONFIG = {
   checkInterval: 30 * 60 * 1000, // 30 minutes
@@ -20,7 +25,12 @@ export const DEFAULT_CONFIG = {
   headless: true,
   timeout: 30000,
   debug: false,
-  browser: 'chrome'
+  browser: 'chrome',
+  extract: 'count',
+  mode: 'browser',
+  historyMaxEntries: 5000,
+  historyMaxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+  alertPolicy: {}
 };
 
 /**
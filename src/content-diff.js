@@ -0,0 +1,175 @@
+import { diffLines, diffWords } from 'diff';
+
+/**
+ * Number of unchanged lines kept around each change
+ * @type {number}
+ */
+const CONTEXT_LINES = 2;
+
+/**
+ * Convert an extracted value to a text snapshot suitable for diffing
+ * @param {any} value - Extracted value
+ * @returns {string} Text snapshot
+ */
+export const toSnapshot = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value, null, 2);
+  }
+  return String(value);
+};
+
+/**
+ * Split a diff chunk into lines, dropping the trailing newline
+ * @param {string} value - Chunk text
+ * @returns {string[]} Lines
+ */
+const splitLines = (value) => value.replace(/\n$/, '').split('\n');
+
+/**
+ * Trim unchanged chunks down to the context around changes
+ * @param {string[]} lines - Unchanged lines
+ * @param {boolean} isFirst - Chunk is at the start of the document
+ * @param {boolean} isLast - Chunk is at the end of the document
+ * @returns {string[]} Lines to keep, with an ellipsis where lines were skipped
+ */
+const trimContext = (lines, isFirst, isLast) => {
+  const head = isFirst ? 0 : CONTEXT_LINES;
+  const tail = isLast ? 0 : CONTEXT_LINES;
+
+  if (lines.length <= head + tail + 1) {
+    return lines;
+  }
+
+  return [...lines.slice(0, head), '…', ...(tail ? lines.slice(-tail) : [])];
+};
+
+/**
+ * Compute a line-level diff between two snapshots
+ * Replaced lines additionally carry a word-level diff for inline highlighting
+ * @param {string} previous - Previous snapshot
+ * @param {string} current - Current snapshot
+ * @returns {{added: number, removed: number, hunks: Object[], text: string}|null}
+ *   Diff summary, hunks and unified text, or null when nothing changed
+ */
+export const computeDiff = (previous = '', current = '') => {
+  if (previous === current) {
+    return null;
+  }
+
+  const parts = diffLines(`${previous}\n`, `${current}\n`);
+  const hunks = [];
+  let added = 0;
+  let removed = 0;
+
+  parts.forEach((part, index) => {
+    const lines = splitLines(part.value);
+
+    if (part.added) {
+      added += lines.length;
+      const prev = hunks[hunks.length - 1];
+
+      // A removal directly followed by an addition is a replacement
+      if (prev?.type === 'removed') {
+        prev.type = 'replaced';
+        prev.added = lines;
+        prev.words = diffWords(prev.removed.join('\n'), lines.join('\n')).map(
+          ({ value, added: isAdded, removed: isRemoved }) => ({
+            value,
+            type: isAdded ? 'added' : isRemoved ? 'removed' : 'unchanged'
+          })
+        );
+      } else {
+        hunks.push({ type: 'added', added: lines });
+      }
+    } else if (part.removed) {
+      removed += lines.length;
+      hunks.push({ type: 'removed', removed: lines });
+    } else {
+      hunks.push({
+        type: 'unchanged',
+        lines: trimContext(lines, index === 0, index === parts.length - 1)
+      });
+    }
+  });
+
+  const text = hunks
+    .flatMap((hunk) => [
+      ...(hunk.lines || []).map((line) => `  ${line}`),
+      ...(hunk.removed || []).map((line) => `- ${line}`),
+      ...(hunk.added || []).map((line) => `+ ${line}`)
+    ])
+    .join('\n');
+
+  return { added, removed, hunks, text };
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Inline styles for diff highlighting, emails strip <style> blocks
+ * @type {Object<string, string>}
+ */
+const STYLES = {
+  added: 'background:#e6ffec;color:#116329;',
+  removed: 'background:#ffebe9;color:#82071e;text-decoration:line-through;',
+  unchanged: 'color:#57606a;'
+};
+
+/**
+ * Render a line with inline styles
+ * @param {string} type - Line type (added, removed, unchanged)
+ * @param {string} content - Already escaped content
+ * @returns {string} HTML line
+ */
+const renderLine = (type, content) =>
+  `<div style="${STYLES[type]}white-space:pre-wrap;">${content}</div>`;
+
+/**
+ * Render a diff as HTML with inline add/remove highlighting
+ * @param {Object} diff - Diff returned by computeDiff
+ * @returns {string} HTML fragment suitable for emails
+ */
+export const renderDiffHtml = (diff) => {
+  if (!diff) {
+    return '';
+  }
+
+  const body = diff.hunks
+    .map((hunk) => {
+      if (hunk.type === 'unchanged') {
+        return hunk.lines
+          .map((line) => renderLine('unchanged', escapeHtml(line)))
+          .join('');
+      }
+      if (hunk.type === 'replaced') {
+        const inline = hunk.words
+          .map(({ type, value }) =>
+            type === 'unchanged'
+              ? escapeHtml(value)
+              : `<span style="${STYLES[type]}">${escapeHtml(value)}</span>`
+          )
+          .join('');
+        return `<div style="white-space:pre-wrap;">${inline}</div>`;
+      }
+      const lines = hunk.type === 'added' ? hunk.added : hunk.removed;
+      return lines
+        .map((line) => renderLine(hunk.type, escapeHtml(line)))
+        .join('');
+    })
+    .join('');
+
+  return `<div style="font-family:monospace;font-size:13px;border:1px solid #d0d7de;padding:8px;">${body}</div>`;
+};
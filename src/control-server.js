@@ -0,0 +1,319 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { defaultLogger } from './logger.js';
+import { buildTimeline, renderDashboard } from './dashboard.js';
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+};
+
+/**
+ * Send a response that is not JSON, such as a page or an image
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} status - HTTP status code
+ * @param {string|Buffer} body - Response body
+ * @param {string} contentType - Content type
+ */
+const sendRaw = (res, status, body, contentType) => {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+};
+
+/**
+ * Cookie holding the API token for the dashboard, which can't send headers
+ * @type {string}
+ */
+const TOKEN_COOKIE = 'te_monitor_token';
+
+/**
+ * Compare a supplied token with the configured one in constant time
+ * @param {string|undefined} supplied - Token from the request
+ * @param {string} token - Configured token
+ * @returns {boolean} Whether they match
+ */
+const tokenMatches = (supplied, token) => {
+  if (typeof supplied !== 'string') {
+    return false;
+  }
+  const a = crypto.createHash('sha256').update(supplied).digest();
+  const b = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Token sent with a request, as a bearer token or the dashboard cookie
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|undefined} Token
+ */
+const requestToken = (req) => {
+  const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    return bearer[1];
+  }
+  const cookie = (req.headers.cookie || '')
+    .split(/;\s*/)
+    .find((entry) => entry.startsWith(`${TOKEN_COOKIE}=`));
+  try {
+    return cookie && decodeURIComponent(cookie.slice(TOKEN_COOKIE.length + 1));
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Whether a request was sent by a page from another site
+ * Browsers send `Origin` and `Sec-Fetch-Site` on cross-site POSTs; clients
+ * such as curl send neither.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean} Whether the request is cross-site
+ */
+const isCrossSite = (req) => {
+  const site = req.headers['sec-fetch-site'];
+  if (site && site !== 'same-origin' && site !== 'none') {
+    return true;
+  }
+  const { origin } = req.headers;
+  if (!origin) {
+    return false;
+  }
+  try {
+    return new URL(origin).host !== req.headers.host;
+  } catch {
+    return true;
+  }
+};
+
+/**
+ * Summarize process health from the browser and the latest checks
+ * Unhealthy when the browser has disconnected, or when every active target
+ * that has been checked failed its latest check
+ * @param {Object[]} statuses - Target statuses
+ * @param {import('./browser-manager.js').BrowserManager} browserManager - Shared browser manager
+ * @returns {{healthy: boolean, browser: string, browserStats: Object, checkedTargets: number, failingTargets: string[]}}
+ */
+const summarizeHealth = (statuses, browserManager) => {
+  const connected = browserManager.isConnected();
+  const checked = statuses.filter((s) => !s.paused && s.lastCheck);
+  const failing = checked.filter((s) => s.lastCheck.outcome === 'error');
+
+  return {
+    healthy:
+      connected !== false &&
+      (checked.length === 0 || failing.length < checked.length),
+    browser:
+      connected === null ? 'idle' : connected ? 'connected' : 'disconnected',
+    browserStats: browserManager.getStats(),
+    checkedTargets: checked.length,
+    failingTargets: failing.map((s) => s.id)
+  };
+};
+
+/**
+ * Start the HTTP control and status API
+ *
+ * Routes:
+ * - GET  /                        Dashboard
+ * - GET  /healthz                 Browser state and stats, recent check success
+ * - GET  /status                  Per-target value, last check, last change and next run
+ * - GET  /targets/:id/timeline    Recent checks with diffs (?limit=, default 50)
+ * - GET  /targets/:id/screenshots/:file  Screenshot of a check
+ * - POST /targets/:id/check       Run a check immediately
+ * - POST /targets/:id/pause       Pause scheduled checks
+ * - POST /targets/:id/resume      Resume scheduled checks
+ * - POST /targets/:id/reset       Forget the baseline, the next check starts over
+ * - GET  /metrics                 Prometheus metrics, when enabled
+ *
+ * Handlers return `[status, body]` for JSON, or `[status, body, contentType]`.
+ *
+ * POSTs from other sites are rejected, so pages open in a browser can't
+ * trigger checks or resets. With a `token`, every route but /healthz needs
+ * `Authorization: Bearer <token>`; opening the dashboard as `/?token=<token>`
+ * stores it in a cookie instead.
+ *
+ * @param {Object} options - Server options
+ * @param {import('./web-page-monitor.js').WebPageMonitor[]} options.monitors - Monitored targets
+ * @param {import('./browser-manager.js').BrowserManager} options.browserManager - Shared browser manager
+ * @param {number} options.port - Port to listen on
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind
+ * @param {string} [options.token] - API token, no authentication when unset
+ * @param {import('./metrics.js').MonitorMetrics} [options.metrics] - Metrics served on /metrics
+ * @param {Object} [options.logger] - Logger, see Logger
+ * @returns {Promise<http.Server>} Listening server
+ */
+export const startControlServer = ({
+  monitors,
+  browserManager,
+  port,
+  host = '127.0.0.1',
+  token = null,
+  metrics = null,
+  logger = defaultLogger
+}) => {
+  const findMonitor = (id) => monitors.find((monitor) => monitor.id === id);
+
+  const routes = [
+    {
+      method: 'GET',
+      pattern: /^\/$/,
+      handler: async () => [200, renderDashboard(), 'text/html; charset=utf-8']
+    },
+    {
+      method: 'GET',
+      pattern: /^\/healthz$/,
+      handler: async () => {
+        const statuses = await Promise.all(monitors.map((m) => m.getStatus()));
+        const health = summarizeHealth(statuses, browserManager);
+        return [health.healthy ? 200 : 503, health];
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/status$/,
+      handler: async () => {
+        const targets = await Promise.all(monitors.map((m) => m.getStatus()));
+        return [200, { targets, ...summarizeHealth(targets, browserManager) }];
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/targets\/([^/]+)\/check$/,
+      handler: async (monitor) => {
+        const { state, ...result } = await monitor.checkForChanges();
+        return [200, { id: monitor.id, ...result, value: state?.value }];
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/targets\/([^/]+)\/pause$/,
+      handler: async (monitor) => {
+        monitor.pause();
+        return [200, await monitor.getStatus()];
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/targets\/([^/]+)\/resume$/,
+      handler: async (monitor) => {
+        monitor.resume();
+        return [200, await monitor.getStatus()];
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/targets\/([^/]+)\/reset$/,
+      handler: async (monitor) => {
+        await monitor.resetState();
+        return [200, await monitor.getStatus()];
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/targets\/([^/]+)\/timeline$/,
+      handler: async (monitor, { query }) => {
+        const limit = Number(query.get('limit') ?? 50);
+        if (!Number.isInteger(limit) || limit < 1) {
+          return [400, { error: 'limit must be a positive whole number' }];
+        }
+        return [200, await buildTimeline(monitor, { limit })];
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/targets\/([^/]+)\/screenshots\/([\w.-]+\.png)$/,
+      handler: async (monitor, { match }) => {
+        // The pattern only allows plain file names, never a path
+        const file = path.join(monitor.config.screenshotDir, match[2]);
+        const image = await fs.readFile(file).catch(() => null);
+        return image
+          ? [200, image, 'image/png']
+          : [404, { error: 'Screenshot not found' }];
+      }
+    },
+    ...(metrics
+      ? [
+          {
+            method: 'GET',
+            pattern: /^\/metrics$/,
+            handler: async () => [
+              200,
+              metrics.render(),
+              'text/plain; version=0.0.4; charset=utf-8'
+            ]
+          }
+        ]
+      : [])
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET' && isCrossSite(req)) {
+      return sendJson(res, 403, {
+        error: 'Cross-site requests are not allowed'
+      });
+    }
+    if (token && pathname !== '/healthz') {
+      if (pathname === '/' && tokenMatches(searchParams.get('token'), token)) {
+        res.writeHead(303, {
+          Location: '/',
+          'Set-Cookie': `${TOKEN_COOKIE}=${encodeURIComponent(token)}; HttpOnly; SameSite=Strict; Path=/`
+        });
+        return res.end();
+      }
+      if (!tokenMatches(requestToken(req), token)) {
+        return sendJson(res, 401, { error: 'Missing or invalid token' });
+      }
+    }
+
+    try {
+      for (const route of routes) {
+        const match = pathname.match(route.pattern);
+        if (!match) {
+          continue;
+        }
+        if (req.method !== route.method) {
+          return sendJson(res, 405, { error: 'Method not allowed' });
+        }
+
+        // Routes with an :id parameter operate on a single target
+        let monitor;
+        if (match[1] !== undefined) {
+          monitor = findMonitor(decodeURIComponent(match[1]));
+          if (!monitor) {
+            return sendJson(res, 404, { error: `Unknown target: ${match[1]}` });
+          }
+        }
+
+        const [status, body, contentType] = await route.handler(monitor, {
+          match,
+          query: searchParams
+        });
+        return contentType
+          ? sendRaw(res, status, body, contentType)
+          : sendJson(res, status, body);
+      }
+
+      sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      logger.error(`${req.method} ${pathname} failed`, { error });
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      logger.info(`🛰️  Control API listening on http://${host}:${port}`);
+      resolve(server);
+    });
+  });
+};
@@ -0,0 +1,244 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { computeDiff, renderDiffHtml, toSnapshot } from './content-diff.js';
+
+/**
+ * File name of a screenshot, so it can be served from the screenshot directory
+ * Screenshots deleted by the history retention have no name.
+ * @param {string|null|undefined} file - Screenshot path
+ * @returns {Promise<string|null>} File name
+ */
+const screenshotName = async (file) => {
+  if (!file) {
+    return null;
+  }
+  try {
+    await fs.access(file);
+    return path.basename(file);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build the timeline of a target, newest first
+ *
+ * Changes carry the diff against the baseline they replaced, rendered as
+ * HTML, and the names of their screenshots.
+ *
+ * @param {import('./web-page-monitor.js').WebPageMonitor} monitor - Target monitor
+ * @param {Object} [options] - Query options
+ * @param {number} [options.limit=50] - Number of checks
+ * @returns {Promise<Object[]>} Timeline entries
+ */
+export const buildTimeline = async (monitor, { limit = 50 } = {}) => {
+  const records = await monitor.getHistory({ limit });
+  // Every change within the last `limit` checks, plus the baseline before them
+  const baselines = await monitor.getHistory({
+    outcome: ['initial', 'changed', 'reset'],
+    limit: limit + 1
+  });
+
+  const entries = records.map(async ({ state, visual, ...record }) => {
+    const entry = {
+      ...record,
+      screenshot: await screenshotName(state?.screenshot),
+      visual: visual
+        ? {
+            percentage: visual.percentage,
+            diff: await screenshotName(visual.diff)
+          }
+        : null
+    };
+
+    if (record.outcome !== 'changed') {
+      return entry;
+    }
+
+    const index = baselines.findIndex(
+      (baseline) => baseline.timestamp === record.timestamp
+    );
+    const previous = baselines[index + 1];
+    if (index === -1 || !previous?.state || !state) {
+      return entry;
+    }
+
+    const diff = computeDiff(
+      previous.state.snapshot ?? toSnapshot(previous.state.value),
+      state.snapshot ?? toSnapshot(state.value)
+    );
+    // Visual-threshold changes can leave the extracted content as it was
+    return {
+      ...entry,
+      previousValue: previous.state.value,
+      ...(diff && {
+        diff: {
+          added: diff.added,
+          removed: diff.removed,
+          html: renderDiffHtml(diff)
+        }
+      })
+    };
+  });
+
+  return Promise.all(entries);
+};
+
+/**
+ * Render the dashboard page
+ *
+ * A single page that lists the targets from /status and shows the timeline
+ * of the selected one. Checks, pause/resume and baseline resets go through
+ * the control API.
+ *
+ * @returns {string} HTML document
+ */
+export const renderDashboard = () => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>te-monitor</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { padding: 12px 24px; background: #24292f; color: #fff; display: flex; justify-content: space-between; }
+  main { padding: 16px 24px; }
+  table { border-collapse: collapse; width: 100%; background: #fff; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+  tr.target { cursor: pointer; }
+  tr.target:hover, tr.selected { background: #ddf4ff; }
+  .value { max-width: 320px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-family: monospace; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; background: #eaeef2; }
+  .changed, .initial { background: #ddf4ff; } .error { background: #ffebe9; } .paused { background: #fff8c5; }
+  .unchanged { background: #dafbe1; } .reset { background: #eaeef2; }
+  .http-error, .redirected-away, .blocked, .selector-missing { background: #fff1e5; }
+  button { margin-right: 4px; }
+  #timeline li { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; margin-bottom: 8px; padding: 8px 12px; list-style: none; }
+  #timeline ul { padding: 0; }
+  #timeline img { max-width: 240px; border: 1px solid #d0d7de; margin: 4px 4px 0 0; }
+  .meta { color: #57606a; font-size: 13px; }
+</style>
+</head>
+<body>
+<header><strong>te-monitor</strong><span id="health" class="meta"></span></header>
+<main>
+  <table>
+    <thead><tr><th>Target</th><th>Value</th><th>Last check</th><th>Status</th><th>Next run</th><th></th></tr></thead>
+    <tbody id="targets"></tbody>
+  </table>
+  <section id="timeline"></section>
+</main>
+<script>
+  let selected = null;
+
+  const el = (tag, props = {}, ...children) => {
+    const node = Object.assign(document.createElement(tag), props);
+    node.append(...children.filter((child) => child !== null && child !== undefined));
+    return node;
+  };
+  const badge = (text) => el('span', { className: 'badge ' + text, textContent: text });
+  const time = (iso) => (iso ? new Date(iso).toLocaleString() : '-');
+  // Failed loads show why the page was unavailable
+  const outcomeOf = (check) =>
+    check.availability && check.availability !== 'ok' ? check.availability : check.outcome;
+  const show = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+  const requests = (stats) =>
+    stats.requests + ' requests, ' + stats.blocked + ' blocked' +
+    (stats.bytes === null ? '' : ', ' + (stats.bytes / 1048576).toFixed(1) + ' MB');
+  const targetUrl = (id, action) => '/targets/' + encodeURIComponent(id) + '/' + action;
+
+  const post = async (id, action) => {
+    if (action === 'reset' && !confirm('Forget the baseline of ' + id + '?')) {
+      return;
+    }
+    const response = await fetch(targetUrl(id, action), { method: 'POST' });
+    if (!response.ok) {
+      alert((await response.json()).error);
+    }
+    await refresh();
+  };
+
+  const renderTargets = (status) => {
+    document.getElementById('health').textContent =
+      (status.healthy ? 'healthy' : 'unhealthy') + ' · browser ' + status.browser;
+    document.getElementById('targets').replaceChildren(
+      ...status.targets.map((target) => {
+        const last = target.lastCheck;
+        const state = target.paused ? 'paused' : last ? outcomeOf(last) : 'pending';
+        const row = el(
+          'tr',
+          { className: 'target' + (target.id === selected ? ' selected' : ''), onclick: () => select(target.id) },
+          el('td', {}, el('strong', { textContent: target.id }), el('div', { className: 'meta', textContent: target.url })),
+          el('td', { className: 'value', title: show(target.value), textContent: show(target.value) }),
+          el('td', {}, time(last && last.timestamp), el('div', { className: 'meta', textContent: last ? last.duration + ' ms' : '' })),
+          el('td', {}, badge(state), target.consecutiveFailures ? el('div', { className: 'meta', textContent: target.consecutiveFailures + ' failure(s)' }) : null),
+          el('td', {}, time(target.nextRun)),
+          el(
+            'td',
+            { onclick: (event) => event.stopPropagation() },
+            el('button', { textContent: 'Check', onclick: () => post(target.id, 'check') }),
+            el('button', { textContent: target.paused ? 'Resume' : 'Pause', onclick: () => post(target.id, target.paused ? 'resume' : 'pause') }),
+            el('button', { textContent: 'Reset', onclick: () => post(target.id, 'reset') })
+          )
+        );
+        return row;
+      })
+    );
+  };
+
+  const screenshot = (id, file) =>
+    file ? el('a', { href: targetUrl(id, 'screenshots/' + file), target: '_blank' }, el('img', { src: targetUrl(id, 'screenshots/' + file) })) : null;
+
+  const renderTimeline = (id, entries) => {
+    document.getElementById('timeline').replaceChildren(
+      el('h2', { textContent: id }),
+      el(
+        'ul',
+        {},
+        ...entries.map((entry) => {
+          const item = el(
+            'li',
+            {},
+            badge(outcomeOf(entry)),
+            ' ',
+            time(entry.timestamp),
+            el('span', { className: 'meta', textContent: entry.duration !== undefined ? ' · ' + entry.duration + ' ms' : '' }),
+            entry.requests ? el('span', { className: 'meta', textContent: ' · ' + requests(entry.requests) }) : null,
+            entry.rules ? el('div', { className: 'meta', textContent: 'Rules: ' + entry.rules.join(', ') }) : null,
+            entry.summary ? el('div', { textContent: entry.summary }) : null,
+            entry.error ? el('div', { textContent: entry.error }) : null,
+            entry.outcome !== 'reset' && !entry.error && !entry.diff ? el('div', { className: 'value', textContent: show(entry.value) }) : null
+          );
+          if (entry.diff) {
+            const diff = el('div');
+            diff.innerHTML = entry.diff.html;
+            item.append(el('div', { className: 'meta', textContent: '+' + entry.diff.added + ' -' + entry.diff.removed }), diff);
+          }
+          if (entry.visual) {
+            item.append(el('div', { className: 'meta', textContent: 'Visual change: ' + entry.visual.percentage + '% of pixels' }));
+          }
+          item.append(el('div', {}, screenshot(id, entry.screenshot), screenshot(id, entry.visual && entry.visual.diff)));
+          return item;
+        })
+      )
+    );
+  };
+
+  const select = async (id) => {
+    selected = id;
+    await refresh();
+  };
+
+  const refresh = async () => {
+    renderTargets(await (await fetch('/status')).json());
+    if (selected) {
+      renderTimeline(selected, await (await fetch(targetUrl(selected, 'timeline'))).json());
+    }
+  };
+
+  refresh();
+  setInterval(refresh, 15000);
+</script>
+</body>
+</html>
+`;
@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+
+/**
+ * Named extraction strategies
+ *
+ * Each strategy has a `collect` function that receives the matched elements
+ * and an optional argument, and a `format` function that turns the collected
+ * data into a human-readable value. `collect` is serialized and run inside the
+ * page, so it must be self-contained and only use standard DOM APIs.
+ * @type {Object<string, {collect: Function, format: Function}>}
+ */
+const strategies = {
+  count: {
+    collect: (elements) => elements.length,
+    format: (count) => count
+  },
+
+  text: {
+    collect: (elements) =>
+      elements.map((el) => el.textContent.replace(/\s+/g, ' ').trim()),
+    format: (texts) => texts.join('\n')
+  },
+
+  innerHTML: {
+    collect: (elements) => elements.map((el) => el.innerHTML.trim()),
+    format: (html) => html.join('\n')
+  },
+
+  attribute: {
+    collect: (elements, name) =>
+      elements.map((el) => el.getAttribute(name)).filter((v) => v !== null),
+    format: (values) => values.join('\n')
+  },
+
+  number: {
+    collect: (elements) =>
+      elements.map((el) => el.textContent.replace(/\s+/g, ' ').trim()),
+    format: (texts) => {
+      for (const text of texts) {
+        const match = text.match(/-?\d[\d,]*(?:\.\d+)?/);
+        if (match) {
+          return Number(match[0].replace(/,/g, ''));
+        }
+      }
+      return null;
+    }
+  },
+
+  json: {
+    collect: (elements) =>
+      elements.map((el) => {
+        const attributes = {};
+        for (const attr of Array.from(el.attributes)) {
+          attributes[attr.name] = attr.value;
+        }
+        return {
+          tag: el.tagName.toLowerCase(),
+          text: el.textContent.replace(/\s+/g, ' ').trim(),
+          attributes
+        };
+      }),
+    format: (items) => items
+  },
+
+  // `arg` is the JSON `{ key, fields }` built by compileListSpec
+  list: {
+    collect: (elements, arg) => {
+      const { key, fields } = JSON.parse(arg);
+      const read = (el, spec) => {
+        const at = spec.lastIndexOf('@');
+        const selector = at === -1 ? spec : spec.slice(0, at);
+        const target = selector ? el.querySelector(selector) : el;
+        if (!target) {
+          return null;
+        }
+        return at === -1
+          ? target.textContent.replace(/\s+/g, ' ').trim()
+          : target.getAttribute(spec.slice(at + 1));
+      };
+
+      return elements.map((el) => {
+        const item = { key: read(el, key) };
+        for (const [name, spec] of Object.entries(fields)) {
+          item[name] = read(el, spec);
+        }
+        return item;
+      });
+    },
+    // Keyed set: items without a key or with a duplicate key are dropped, and
+    // the order is normalized so reordering alone is not a change
+    format: (items) => {
+      const seen = new Set();
+      return items
+        .filter(
+          (item) =>
+            item.key !== null && !seen.has(item.key) && seen.add(item.key)
+        )
+        .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    }
+  }
+};
+
+/**
+ * Register a custom extraction strategy
+ * @param {string} name - Strategy name, used as the `extract` option value
+ * @param {Object} strategy - Strategy definition
+ * @param {Function} strategy.collect - In-page function `(elements, arg) => data`
+ * @param {Function} [strategy.format] - Turns collected data into a value
+ */
+export const registerStrategy = (
+  name,
+  { collect, format = (data) => data }
+) => {
+  strategies[name] = { collect, format };
+};
+
+/**
+ * Resolve an extraction spec such as `text` or `attribute:href`
+ * @param {string} [spec='count'] - Strategy name with optional `:argument`
+ * @returns {{name: string, arg: string|undefined, strategy: Object}} Resolved strategy
+ * @throws {Error} When the strategy is unknown
+ */
+export const resolveStrategy = (spec = 'count') => {
+  const separator = spec.indexOf(':');
+  const name = separator === -1 ? spec : spec.slice(0, separator);
+  const arg = separator === -1 ? undefined : spec.slice(separator + 1);
+  const strategy = strategies[name];
+
+  if (!strategy) {
+    throw new Error(`Unknown extraction strategy: ${spec}`);
+  }
+  if (name === 'attribute' && !arg) {
+    throw new Error('The attribute strategy needs a name, e.g. attribute:href');
+  }
+  if (name === 'list' && !arg) {
+    throw new Error(
+      'The list strategy is configured through the `list` option'
+    );
+  }
+
+  return { name, arg, strategy };
+};
+
+/**
+ * Compute the comparable fingerprint of an extracted value
+ * @param {any} value - Extracted value
+ * @returns {string} SHA-256 hex digest
+ */
+export const fingerprint = (value) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify(value ?? null))
+    .digest('hex');
+
+/**
+ * Extract content from a page with a named strategy
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {string} selector - CSS selector to extract from
+ * @param {string} [spec='count'] - Extraction strategy spec
+ * @returns {Promise<{fingerprint: string, value: any}>} Fingerprint and readable value
+ */
+export const extractContent = async (page, selector, spec = 'count') => {
+  const { arg, strategy } = resolveStrategy(spec);
+  const data = await page.$$eval(selector, strategy.collect, arg);
+  const value = strategy.format(data, arg);
+
+  return { fingerprint: fingerprint(value), value };
+};
+
+/**
+ * Extract content from a server-side DOM with a named strategy
+ * Runs the same `collect` functions as the in-page extraction
+ * @param {Document} document - Parsed document, e.g. from linkedom
+ * @param {string} selector - CSS selector to extract from
+ * @param {string} [spec='count'] - Extraction strategy spec
+ * @returns {{fingerprint: string, value: any}} Fingerprint and readable value
+ */
+export const extractFromDocument = (document, selector, spec = 'count') => {
+  const { arg, strategy } = resolveStrategy(spec);
+  const elements = Array.from(document.querySelectorAll(selector));
+  const value = strategy.format(strategy.collect(elements, arg), arg);
+
+  return { fingerprint: fingerprint(value), value };
+};
+
+/**
+ * Strategies whose argument comes from target options rather than the spec
+ * @type {string[]}
+ */
+const TARGET_STRATEGIES = ['list'];
+
+/**
+ * List the names of all registered strategies
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.standalone=false] - Leave out strategies that need
+ *   target options, such as `list`
+ * @returns {string[]} Strategy names
+ */
+export const listStrategies = ({ standalone = false } = {}) =>
+  Object.keys(strategies).filter(
+    (name) => !standalone || !TARGET_STRATEGIES.includes(name)
+  );
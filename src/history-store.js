@@ -0,0 +1,208 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Number of appends between retention passes
+ * @type {number}
+ */
+const PRUNE_EVERY = 20;
+
+/**
+ * Append-only check history backed by a JSON Lines file
+ * Every check is one line; baseline-setting checks also carry the full state.
+ * The latest baseline, check and change are kept in memory once the file was
+ * read, so checks and status requests don't parse the whole history.
+ */
+export class HistoryStore {
+  /**
+   * Create a new HistoryStore instance
+   * @param {string} filePath - Path to the history file
+   * @param {Object} [retention] - Retention settings
+   * @param {number} [retention.maxEntries] - Keep at most this many records
+   * @param {number} [retention.maxAge] - Drop records older than this many milliseconds
+   */
+  constructor(filePath, retention = {}) {
+    this.filePath = filePath;
+    this.retention = retention;
+    this.appendsSincePrune = PRUNE_EVERY;
+    this.latest = null;
+  }
+
+  /**
+   * Append a record to the history
+   * @param {Object} record - Check record
+   * @returns {Promise<Object[]>} Records dropped by retention, if it ran
+   */
+  async append(record) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+    // Appends racing the first read may be seen twice, which changes nothing
+    const latest = await this.latest?.catch(() => null);
+    if (latest) {
+      this.track(latest, record);
+    }
+
+    this.appendsSincePrune += 1;
+    if (this.appendsSincePrune >= PRUNE_EVERY) {
+      return this.prune();
+    }
+    return [];
+  }
+
+  /**
+   * Read all records, oldest first
+   * Corrupt lines (e.g. from a crash mid-write) are skipped
+   * @returns {Promise<Object[]>} History records
+   */
+  async readAll() {
+    let data;
+    try {
+      data = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return data
+      .split('\n')
+      .filter(Boolean)
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  /**
+   * Query the history, newest first
+   * @param {Object} [options] - Query options
+   * @param {string|Date} [options.since] - Only records at or after this time
+   * @param {number} [options.limit] - Maximum number of records
+   * @param {string|string[]} [options.outcome] - Only records with these outcomes
+   * @returns {Promise<Object[]>} Matching records
+   */
+  async query({ since, limit, outcome } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const outcomes = outcome ? [].concat(outcome) : null;
+
+    const records = (await this.readAll())
+      .reverse()
+      .filter(
+        (record) =>
+          (sinceTime === null ||
+            new Date(record.timestamp).getTime() >= sinceTime) &&
+          (!outcomes || outcomes.includes(record.outcome))
+      );
+
+    return limit ? records.slice(0, limit) : records;
+  }
+
+  /**
+   * Update the latest records with a newer record
+   * @param {Object} latest - Latest records, see loadLatest
+   * @param {Object} record - History record
+   */
+  track(latest, record) {
+    if (record.outcome === 'reset') {
+      latest.baseline = null;
+      return;
+    }
+    latest.check = record;
+    if (record.state) {
+      latest.baseline = record.state;
+    }
+    if (record.outcome === 'changed') {
+      latest.change = record;
+    }
+  }
+
+  /**
+   * Read the history once to find the latest records
+   * @returns {Promise<Object>} `{ baseline, check, change }`
+   */
+  loadLatest() {
+    this.latest ??= this.readAll().then(
+      (records) => {
+        const latest = { baseline: undefined, check: null, change: null };
+        records.forEach((record) => this.track(latest, record));
+        return latest;
+      },
+      (error) => {
+        // Read again next time instead of keeping the failure
+        this.latest = null;
+        throw error;
+      }
+    );
+    return this.latest;
+  }
+
+  /**
+   * Find the current baseline state
+   * @returns {Promise<Object|null|undefined>} Latest baseline state, null after a
+   *   reset, or undefined when the history holds no baseline
+   */
+  async latestBaseline() {
+    return (await this.loadLatest()).baseline;
+  }
+
+  /**
+   * Find the most recent check, reset markers excluded
+   * @returns {Promise<Object|null>} Latest check record
+   */
+  async lastCheck() {
+    return (await this.loadLatest()).check;
+  }
+
+  /**
+   * Find the most recent change
+   * @returns {Promise<Object|null>} Latest `changed` record
+   */
+  async lastChange() {
+    return (await this.loadLatest()).change;
+  }
+
+  /**
+   * Apply the retention settings by rewriting the history file
+   * @returns {Promise<Object[]>} Dropped records, oldest first
+   */
+  async prune() {
+    this.appendsSincePrune = 0;
+    const { maxEntries, maxAge } = this.retention;
+
+    if (!maxEntries && !maxAge) {
+      return [];
+    }
+
+    const records = await this.readAll();
+    let kept = records;
+
+    if (maxAge) {
+      const cutoff = Date.now() - maxAge;
+      kept = kept.filter(
+        (record) => new Date(record.timestamp).getTime() >= cutoff
+      );
+    }
+    if (maxEntries && kept.length > maxEntries) {
+      kept = kept.slice(-maxEntries);
+    }
+
+    if (kept.length === records.length) {
+      return [];
+    }
+
+    // Write to a temp file first so a crash never truncates the history
+    const tmpFile = `${this.filePath}.tmp`;
+    await fs.writeFile(
+      tmpFile,
+      kept.map((record) => `${JSON.stringify(record)}\n`).join('')
+    );
+    await fs.rename(tmpFile, this.filePath);
+
+    const keptSet = new Set(kept);
+    return records.filter((record) => !keptSet.has(record));
+  }
+}
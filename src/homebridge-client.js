@@ -1,4 +1,9 @@
 import axios from 'axios';
+import { loadConfig } from './config-loader.js';
+import { defaultLogger } from './logger.js';
+
+// Refresh the token this long before Homebridge says it expires
+const TOKEN_MARGIN = 60 * 1000;
 
 /**
  * Client for interacting with Homebridge API
@@ -16,6 +21,9 @@ export class HomebridgeClient {
     this.baseURL = `http://${host}:${port}`;
     this.auth = { username, password };
     this.token = null;
+    this.tokenExpiresAt = 0;
+    this.loggingIn = null;
+    this.accessories = null;
   }
 
   /**
@@ -29,6 +37,57 @@ export class HomebridgeClient {
       this.auth
     );
     this.token = response.data.access_token;
+    // Homebridge reports the lifetime in seconds
+    this.tokenExpiresAt =
+      Date.now() + (response.data.expires_in ?? 3600) * 1000 - TOKEN_MARGIN;
+  }
+
+  /**
+   * Log in again, sharing one login between concurrent callers
+   * @returns {Promise<void>}
+   * @throws {Error} When authentication fails
+   */
+  async refreshToken() {
+    if (!this.loggingIn) {
+      this.loggingIn = this.login().finally(() => {
+        this.loggingIn = null;
+      });
+    }
+    return this.loggingIn;
+  }
+
+  /**
+   * Send an authenticated request, logging in when the token is missing or
+   * expired and once more when the server rejects it
+   * @param {Object} options - axios request options with a `url` path
+   * @returns {Promise<import('axios').AxiosResponse>} Response
+   * @throws {Error} When the request fails
+   */
+  async request(options) {
+    if (!this.token || Date.now() >= this.tokenExpiresAt) {
+      await this.refreshToken();
+    }
+
+    const token = this.token;
+    const send = () =>
+      axios({
+        ...options,
+        url: `${this.baseURL}${options.url}`,
+        headers: { ...options.headers, Authorization: `Bearer ${this.token}` }
+      });
+
+    try {
+      return await send();
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+      // Another request may have logged in again meanwhile
+      if (this.token === token) {
+        await this.refreshToken();
+      }
+      return send();
+    }
   }
 
   /**
@@ -37,9 +96,47 @@ export class HomebridgeClient {
    * @throws {Error} When request fails
    */
   async getAccessories() {
-    return axios.get(`${this.baseURL}/api/accessories`, {
-      headers: { Authorization: `Bearer ${this.token}` }
+    return this.request({ method: 'GET', url: '/api/accessories' });
+  }
+
+  /**
+   * Find an accessory by uniqueId or display name
+   * The accessory list is cached and reloaded once when nothing matches
+   * @param {string} nameOrId - uniqueId, service name or accessory name (case-insensitive)
+   * @returns {Promise<Object>} Accessory service
+   * @throws {Error} When no accessory matches
+   */
+  async findAccessory(nameOrId) {
+    const wanted = String(nameOrId).toLowerCase();
+    const matches = (accessory) =>
+      accessory.uniqueId === nameOrId ||
+      accessory.serviceName?.toLowerCase() === wanted ||
+      accessory.accessoryInformation?.Name?.toLowerCase() === wanted;
+
+    let found = this.accessories?.find(matches);
+    if (!found) {
+      this.accessories = (await this.getAccessories()).data;
+      found = this.accessories.find(matches);
+    }
+    if (!found) {
+      throw new Error(`No Homebridge accessory named "${nameOrId}"`);
+    }
+
+    return found;
+  }
+
+  /**
+   * Get the current characteristic values of an accessory
+   * @param {string} uniqueId - Unique identifier of the accessory
+   * @returns {Promise<Object<string, any>>} Values such as `{ On: true, Hue: 240 }`
+   * @throws {Error} When request fails
+   */
+  async getAccessoryState(uniqueId) {
+    const response = await this.request({
+      method: 'GET',
+      url: `/api/accessories/${uniqueId}`
     });
+    return response.data.values || {};
   }
 
   /**
@@ -51,38 +148,168 @@ export class HomebridgeClient {
    * @throws {Error} When request fails
    */
   async setAccessoryState(uniqueId, characteristic, value) {
-    return axios.put(
-      `${this.baseURL}/api/accessories/${uniqueId}`,
-      {
-        characteristicType: characteristic,
-        value
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${this.token}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    return this.request({
+      method: 'PUT',
+      url: `/api/accessories/${uniqueId}`,
+      data: { characteristicType: characteristic, value },
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
 }
 
+// Characteristics a pattern sets, and restores afterwards, in this order
+const COLOR_CHARACTERISTICS = ['Hue', 'Saturation', 'Brightness'];
+
+const clients = new Map();
+const pendingRestores = new Map();
+
+/**
+ * Get a shared client per server and user, so the token is reused across alerts
+ * @param {Object} connection - Homebridge connection settings
+ * @returns {HomebridgeClient} Client
+ */
+const getClient = ({ host, port = 8581, username, password }) => {
+  const key = `${username}@${host}:${port}`;
+  if (!clients.has(key)) {
+    clients.set(key, new HomebridgeClient(host, port, username, password));
+  }
+  return clients.get(key);
+};
+
+/**
+ * Restore an accessory to the state it had before a pattern
+ * @param {HomebridgeClient} client - Homebridge client
+ * @param {string} uniqueId - Accessory uniqueId
+ * @param {Object<string, any>} previous - Values captured before the pattern
+ */
+const restoreState = async (client, uniqueId, previous) => {
+  pendingRestores.delete(uniqueId);
+
+  for (const characteristic of [...COLOR_CHARACTERISTICS, 'On']) {
+    if (previous[characteristic] !== undefined) {
+      await client.setAccessoryState(
+        uniqueId,
+        characteristic,
+        previous[characteristic]
+      );
+    }
+  }
+};
+
+/**
+ * Show a light pattern on one accessory
+ * @param {HomebridgeClient} client - Homebridge client
+ * @param {string} uniqueId - Accessory uniqueId
+ * @param {Object} pattern - Light pattern, see signalLamps
+ * @param {Object} log - Logger, see Logger
+ */
+const showPattern = async (client, uniqueId, pattern, log) => {
+  const { blink = 0, blinkInterval = 500, duration } = pattern;
+
+  // A lamp still showing an earlier alert restores to its state before that one
+  let previous = pendingRestores.get(uniqueId)?.previous;
+  if (duration && !previous) {
+    previous = await client.getAccessoryState(uniqueId);
+  }
+  clearTimeout(pendingRestores.get(uniqueId)?.timer);
+  // Without a duration the lamp stays on
+  pendingRestores.delete(uniqueId);
+
+  await client.setAccessoryState(uniqueId, 'On', true);
+  for (const characteristic of COLOR_CHARACTERISTICS) {
+    const value = pattern[characteristic.toLowerCase()];
+    if (value !== undefined) {
+      await client.setAccessoryState(uniqueId, characteristic, value);
+    }
+  }
+
+  for (let i = 0; i < blink; i++) {
+    await new Promise((resolve) => setTimeout(resolve, blinkInterval));
+    await client.setAccessoryState(uniqueId, 'On', false);
+    await new Promise((resolve) => setTimeout(resolve, blinkInterval));
+    await client.setAccessoryState(uniqueId, 'On', true);
+  }
+
+  if (duration) {
+    const timer = setTimeout(() => {
+      restoreState(client, uniqueId, previous).catch((error) =>
+        log.error(`Restoring lamp ${uniqueId} failed`, { error })
+      );
+    }, duration);
+    pendingRestores.set(uniqueId, { timer, previous });
+  }
+};
+
+/**
+ * Show a light pattern on one or more Homebridge accessories
+ * @example
+ * await signalLamps(['Desk lamp', 'abc123'], { hue: 0, blink: 3, duration: 60000 }, connection);
+ * @param {string|string[]} accessories - Accessory uniqueIds or display names
+ * @param {Object} pattern - Light pattern
+ * @param {number} [pattern.hue] - Hue (0-360)
+ * @param {number} [pattern.saturation] - Saturation (0-100)
+ * @param {number} [pattern.brightness] - Brightness (0-100)
+ * @param {number} [pattern.blink=0] - Blink this many times after lighting up
+ * @param {number} [pattern.blinkInterval=500] - Milliseconds between blink toggles
+ * @param {number} [pattern.duration] - Restore the previous state after this many
+ *   milliseconds, stay on when omitted
+ * @param {Object} connection - Homebridge connection settings
+ * @param {string} connection.host - Homebridge host
+ * @param {number} [connection.port=8581] - Homebridge UI port
+ * @param {string} connection.username - Homebridge UI username
+ * @param {string} connection.password - Homebridge UI password
+ * @param {Object} [log] - Logger, see Logger
+ * @returns {Promise<void>} Resolves once every lamp shows the pattern
+ * @throws {Error} When an accessory is unknown or cannot be updated
+ */
+export const signalLamps = async (
+  accessories,
+  pattern,
+  connection,
+  log = defaultLogger
+) => {
+  const client = getClient(connection);
+  const list = Array.isArray(accessories) ? accessories : [accessories];
+
+  if (list.length === 0 || list.some((accessory) => !accessory)) {
+    throw new Error('No lamp accessory configured');
+  }
+
+  await Promise.all(
+    list.map(async (nameOrId) => {
+      const { uniqueId } = await client.findAccessory(nameOrId);
+      await showPattern(client, uniqueId, pattern, log);
+    })
+  );
+};
+
 /**
  * Alert via HomeKit lamp by setting hue and turning on
  * @param {number} hue - Hue value for the lamp (0-360)
+ * @param {string|string[]} [accessory] - Accessory uniqueId or display name, or
+ *   several, defaults to the configured one (ACCESSORY)
+ * @param {Object} [connection] - Homebridge connection settings, see signalLamps,
+ *   defaults to the configured ones (HB_HOST, HB_PORT, HB_USER, HB_PWD)
+ * @param {Object} [log] - Logger, see Logger
+ * @throws {Error} When no Homebridge host is configured
  */
-export const alertViaLamp = async (hue) => {
-  console.log(
-    `connecting to homebridge at ${process.env.HB_HOST}:${process.env.HB_PORT}`
-  );
-  const client = new HomebridgeClient(
-    process.env.HB_HOST,
-    process.env.HB_PORT,
-    'pricklywiggles',
-    process.env.HB_PWD
+export const alertViaLamp = async (
+  hue,
+  accessory,
+  connection,
+  log = defaultLogger
+) => {
+  if (accessory === undefined || !connection) {
+    const { config } = await loadConfig();
+    accessory ??= config.homebridge.accessory;
+    connection ??= config.homebridge;
+  }
+  if (!connection.host) {
+    throw new Error('No Homebridge host configured (HB_HOST)');
+  }
+
+  log.info(
+    `Connecting to Homebridge at ${connection.host}:${connection.port ?? 8581}`
   );
-  await client.login();
-  await client.getAccessories();
-  await client.setAccessoryState(process.env.ACCESSORY, 'On', true);
-  client.setAccessoryState(process.env.ACCESSORY, 'Hue', hue);
+  await signalLamps(accessory, { hue }, connection, log);
 };
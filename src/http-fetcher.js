@@ -0,0 +1,33 @@
+import axios from 'axios';
+import { parseHTML } from 'linkedom';
+import { BROWSER_CONFIG, STEALTH_HEADERS } from './config.js';
+
+/**
+ * Fetch a page with a plain GET and parse it into a server-side DOM
+ * Scripts are not executed, so only server-rendered content is available
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @param {string} [options.userAgent] - User agent override
+ * @returns {Promise<{document: Document, status: number, finalUrl: string}>}
+ *   Parsed document, HTTP status and the URL after redirects
+ * @throws {Error} When the request fails or returns an error status
+ */
+export const fetchDocument = async (url, { timeout, userAgent } = {}) => {
+  const response = await axios.get(url, {
+    timeout,
+    responseType: 'text',
+    headers: {
+      ...STEALTH_HEADERS,
+      'User-Agent': userAgent || BROWSER_CONFIG.userAgent
+    }
+  });
+
+  const { document } = parseHTML(response.data);
+
+  return {
+    document,
+    status: response.status,
+    finalUrl: response.request?.res?.responseUrl || url
+  };
+};
@@ -0,0 +1,137 @@
+/**
+ * Validate a list definition and turn it into an extraction spec
+ *
+ * Field specs are a child selector (its text), `selector@attribute`, or
+ * `@attribute` of the item itself; an empty spec is the item's own text.
+ *
+ * @example
+ * compileListSpec({
+ *   item: '.product',
+ *   key: 'a@href',
+ *   fields: { title: 'h3', price: '.price' }
+ * });
+ * // { selector: '.product', extract: 'list:{"key":"a@href",...}' }
+ * @param {Object} list - List definition
+ * @param {string} list.item - Selector of the list items
+ * @param {string} list.key - Field spec identifying an item across checks
+ * @param {Object<string, string>} [list.fields] - Extra field specs by name
+ * @returns {{selector: string, extract: string}} Selector and `list` extraction spec
+ * @throws {Error} When the definition is incomplete
+ */
+export const compileListSpec = ({ item, key, fields = {} }) => {
+  if (typeof item !== 'string' || !item) {
+    throw new Error('A list needs an `item` selector');
+  }
+  if (typeof key !== 'string') {
+    throw new Error('A list needs a `key` field spec, e.g. "a@href"');
+  }
+  for (const [name, spec] of Object.entries(fields)) {
+    if (typeof spec !== 'string') {
+      throw new Error(`List field "${name}" must be a field spec string`);
+    }
+    if (name === 'key') {
+      throw new Error('"key" is reserved, list it as `key` instead of a field');
+    }
+  }
+
+  return { selector: item, extract: `list:${JSON.stringify({ key, fields })}` };
+};
+
+/**
+ * Items of a list value, an empty list for other values
+ * @param {any} value - Extracted value
+ * @returns {Object[]} Items
+ */
+const toItems = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Compare two keyed item lists
+ * @param {Object[]} previous - Items of the baseline
+ * @param {Object[]} current - Items of the current check
+ * @returns {{added: Object[], removed: Object[], modified: Object[]}} Added and
+ *   removed items, and modified ones as `{ key, item, changes }` where changes
+ *   maps field names to `{ from, to }`
+ */
+export const diffItems = (previous, current) => {
+  const before = new Map(toItems(previous).map((item) => [item.key, item]));
+  const after = new Map(toItems(current).map((item) => [item.key, item]));
+
+  const modified = [];
+  for (const [key, item] of after) {
+    const old = before.get(key);
+    if (!old) {
+      continue;
+    }
+    const changes = {};
+    for (const field of new Set([...Object.keys(old), ...Object.keys(item)])) {
+      if (JSON.stringify(old[field]) !== JSON.stringify(item[field])) {
+        changes[field] = { from: old[field] ?? null, to: item[field] ?? null };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      modified.push({ key, item, changes });
+    }
+  }
+
+  return {
+    added: [...after.values()].filter((item) => !before.has(item.key)),
+    removed: [...before.values()].filter((item) => !after.has(item.key)),
+    modified
+  };
+};
+
+/**
+ * Name of an item in messages: its title or name field, otherwise its key
+ * @param {Object} item - List item
+ * @returns {string} Label
+ */
+const labelOf = (item) => String(item.title ?? item.name ?? item.key);
+
+/**
+ * Describe a group of items, listing the first few
+ * @param {Object[]} items - Items
+ * @param {string} singular - e.g. `new item`
+ * @param {string} plural - e.g. `new items`
+ * @param {Function} describe - Turns an item into text
+ * @param {number} maxListed - List at most this many items
+ * @returns {string|null} Description, or null without items
+ */
+const describeGroup = (items, singular, plural, describe, maxListed) => {
+  if (items.length === 0) {
+    return null;
+  }
+  const listed = items.slice(0, maxListed).map(describe).join(', ');
+  const more =
+    items.length > maxListed ? ` and ${items.length - maxListed} more` : '';
+  return `${items.length} ${items.length === 1 ? singular : plural}: ${listed}${more}`;
+};
+
+/**
+ * Describe added, removed and modified items for alerts
+ * @example
+ * describeItemChanges(changes);
+ * // '2 new items: Red shoes, Blue hat; 1 modified item: Green bag (price: 10 → 8)'
+ * @param {Object} changes - Changes returned by diffItems
+ * @param {number} [maxListed=5] - List at most this many items per group
+ * @returns {string} Description
+ */
+export const describeItemChanges = (
+  { added, removed, modified },
+  maxListed = 5
+) =>
+  [
+    describeGroup(added, 'new item', 'new items', labelOf, maxListed),
+    describeGroup(removed, 'removed item', 'removed items', labelOf, maxListed),
+    describeGroup(
+      modified,
+      'modified item',
+      'modified items',
+      ({ item, changes }) =>
+        `${labelOf(item)} (${Object.entries(changes)
+          .map(([field, { from, to }]) => `${field}: ${from} → ${to}`)
+          .join(', ')})`,
+      maxListed
+    )
+  ]
+    .filter(Boolean)
+    .join('; ') || 'No item changes';
@@ -0,0 +1,212 @@
+/**
+ * Log levels, from the most to the least verbose
+ * @type {string[]}
+ */
+export const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error'];
+
+const LEVEL_VALUES = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  silent: Infinity
+};
+
+/**
+ * Make a field value safe for JSON, errors keep their message and stack
+ * @param {any} value - Field value
+ * @returns {any} Serializable value
+ */
+const serialize = (value) =>
+  value instanceof Error
+    ? { message: value.message, ...(value.stack && { stack: value.stack }) }
+    : value;
+
+/**
+ * Normalize the second argument of a log call into fields
+ * Callers written for the old `log.error(message, error)` pass the error itself.
+ * @param {any} fields - Fields object, an Error or a plain value
+ * @returns {Object} Fields
+ */
+const toFields = (fields) => {
+  if (fields === undefined || fields === null) {
+    return {};
+  }
+  if (fields instanceof Error || typeof fields !== 'object') {
+    return { error: fields };
+  }
+  return fields;
+};
+
+/**
+ * Render a record as a human-readable line, extra fields indented below it
+ * @param {Object} record - Log record
+ * @param {string[]} contextKeys - Fields shown in brackets after the level
+ * @returns {string} Text
+ */
+const formatPretty = (record, contextKeys) => {
+  const { time, level, msg, ...fields } = record;
+  const context = contextKeys
+    .map((key) => fields[key])
+    .filter((value) => value !== undefined)
+    .join(' ');
+  const lines = [
+    `[${time}] ${level.toUpperCase().padEnd(5)} ${context ? `[${context}] ` : ''}${msg}`
+  ];
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (contextKeys.includes(key) || value === undefined) {
+      continue;
+    }
+    const text =
+      value && typeof value === 'object'
+        ? (value.message ?? JSON.stringify(value))
+        : String(value);
+    lines.push(`    ${key}: ${text.replace(/\n/g, '\n      ')}`);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Leveled logger writing pretty or JSON lines
+ *
+ * Every record carries the logger's context fields, so child loggers tag all
+ * their lines with e.g. the target and check id. Any object with
+ * `trace`..`error(message, fields)` methods, and optionally `child(context)`,
+ * can be used in its place.
+ *
+ * @example
+ * const log = new Logger({ level: 'debug', format: 'json' });
+ * log.child({ target: 'shop' }).info('Check finished', { durationMs: 812 });
+ * // {"time":"…","level":"info","msg":"Check finished","target":"shop","durationMs":812}
+ */
+export class Logger {
+  /**
+   * Create a new Logger instance
+   * @param {Object} [options] - Logger options
+   * @param {string} [options.level='info'] - Least severe level written (trace,
+   *   debug, info, warn, error or silent)
+   * @param {string} [options.format='pretty'] - 'pretty' or 'json' (one object per line)
+   * @param {Object} [options.context] - Fields added to every record
+   * @param {Function} [options.sink] - Receives every record object instead of
+   *   the console, to route logs elsewhere
+   * @throws {Error} When the level or format is unknown
+   */
+  constructor({
+    level = 'info',
+    format = 'pretty',
+    context = {},
+    sink = null
+  } = {}) {
+    if (!(level in LEVEL_VALUES)) {
+      throw new Error(
+        `Unknown log level "${level}". Available: ${[...LOG_LEVELS, 'silent'].join(', ')}`
+      );
+    }
+    if (!['pretty', 'json'].includes(format)) {
+      throw new Error(
+        `Unknown log format "${format}". Available: pretty, json`
+      );
+    }
+
+    this.level = level;
+    this.format = format;
+    this.context = context;
+    this.sink = sink;
+
+    for (const name of LOG_LEVELS) {
+      this[name] = (message, fields) => this.write(name, message, fields);
+    }
+  }
+
+  /**
+   * Create a logger adding fields to every record
+   * @param {Object} context - Fields such as `{ target: 'shop' }`
+   * @returns {Logger} Child logger sharing level, format and sink
+   */
+  child(context) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      sink: this.sink,
+      context: { ...this.context, ...context }
+    });
+  }
+
+  /**
+   * Whether records of a level are written
+   * @param {string} level - Log level
+   * @returns {boolean} Whether the level is enabled
+   */
+  isLevelEnabled(level) {
+    return LEVEL_VALUES[level] >= LEVEL_VALUES[this.level];
+  }
+
+  /**
+   * Write one record
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {Object|Error} [fields] - Extra fields, or the error being reported
+   */
+  write(level, message, fields) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.context
+    };
+    for (const [key, value] of Object.entries(toFields(fields))) {
+      record[key] = serialize(value);
+    }
+
+    if (this.sink) {
+      this.sink(record);
+      return;
+    }
+
+    const line =
+      this.format === 'json'
+        ? JSON.stringify(record)
+        : formatPretty(record, Object.keys(this.context));
+    // Warnings and errors are diagnostics, they go to stderr
+    if (level === 'warn' || level === 'error') {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+/**
+ * Add context fields to any logger
+ * Loggers without `child()` are wrapped so the fields are still attached.
+ * @param {Object} logger - Logger, see Logger
+ * @param {Object} context - Fields added to every record
+ * @returns {Object} Logger with the context
+ */
+export const withContext = (logger, context) => {
+  if (typeof logger.child === 'function') {
+    return logger.child(context);
+  }
+
+  const wrapped = {
+    child: (more) => withContext(logger, { ...context, ...more })
+  };
+  for (const name of LOG_LEVELS) {
+    wrapped[name] = (message, fields) =>
+      logger[name]?.(message, { ...context, ...toFields(fields) });
+  }
+  return wrapped;
+};
+
+/**
+ * Logger used when none is injected
+ * @type {Logger}
+ */
+export const defaultLogger = new Logger();
@@ -1,58 +1,110 @@
+import fs from 'fs/promises';
+import path from 'path';
 import nodemailer from 'nodemailer';
+import { defaultLogger } from './logger.js';
 
 /**
  * Creates and configures the email transporter
+ *
+ * `smtp` connects to `host`, or to Gmail when no host is set. `stream` and
+ * `file` build the message without sending it, for testing.
+ *
+ * @param {Object} settings - Mail settings, see sendEmail
  * @returns {import('nodemailer').Transporter} Configured nodemailer transporter
- * @throws {Error} When Gmail credentials are missing
  */
-const createTransporter = () => {
-  const { GMAIL_USER, GMAIL_APP_PASSWORD } = process.env;
+const createTransporter = ({
+  transport = 'smtp',
+  host,
+  port,
+  secure,
+  user,
+  password
+}) => {
+  if (transport === 'stream' || transport === 'file') {
+    return nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
 
-  if (!GMAIL_USER || !GMAIL_APP_PASSWORD) {
-    throw new Error(
-      'Gmail credentials not found. Please set GMAIL_USER and GMAIL_APP_PASSWORD environment variables.'
-    );
+  // Use an app password, not the regular password, for Gmail
+  const auth = user ? { user, pass: password } : undefined;
+  if (!host) {
+    return nodemailer.createTransport({ service: 'gmail', auth });
   }
 
   return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: GMAIL_USER,
-      pass: GMAIL_APP_PASSWORD // Use App Password, not regular password
-    }
+    host,
+    port,
+    // Port 465 speaks TLS from the start, others upgrade with STARTTLS
+    secure: secure ?? port === 465,
+    auth
   });
 };
 
 /**
- * Sends an email using Gmail SMTP
- * @param {string} to - Recipient email address
- * @param {string} subject - Email subject
- * @param {string} message - Email message body (can be HTML or plain text)
+ * Sends an email through SMTP, or writes it out with the stream and file
+ * transports
+ * @param {Object} message - Email to send
+ * @param {string} message.to - Recipient email address
+ * @param {string} message.subject - Email subject
+ * @param {string} message.html - HTML body
+ * @param {string} message.text - Plain-text body
+ * @param {Object[]} [message.attachments] - Nodemailer attachments, e.g. `{ filename, path, cid }`
+ * @param {Object} [settings] - Mail settings
+ * @param {string} [settings.transport='smtp'] - `smtp`, `stream` (print to stdout) or `file`
+ * @param {string} [settings.host] - SMTP host, Gmail when omitted
+ * @param {number} [settings.port] - SMTP port
+ * @param {boolean} [settings.secure] - Use TLS from the start, defaults to true on port 465
+ * @param {string} [settings.user] - SMTP user
+ * @param {string} [settings.password] - SMTP password
+ * @param {string} [settings.from] - Sender, defaults to the user
+ * @param {string} [settings.dir='mail'] - Directory the file transport writes .eml files to
+ * @param {Object} [log] - Logger, see Logger
  * @returns {Promise<Object>} - Returns the email sending result
  */
-export const sendEmail = async (to, subject, message) => {
+export const sendEmail = async (
+  { to, subject, html, text, attachments = [] },
+  settings = {},
+  log = defaultLogger
+) => {
   try {
-    if (!process.env.GMAIL_USER || !process.env.GMAIL_APP_PASSWORD || !to) {
+    const { transport = 'smtp', user, password, dir = 'mail' } = settings;
+    if (!to) {
+      throw new Error('Recipient email not found. Please set EMAIL_TO.');
+    }
+    if (transport === 'smtp' && !settings.host && (!user || !password)) {
       throw new Error(
-        'Gmail credentials or recipient email not found. Please set GMAIL_USER, GMAIL_APP_PASSWORD, and EMAIL_TO environment variables.'
+        'SMTP settings not found. Please set SMTP_HOST, or GMAIL_USER and GMAIL_APP_PASSWORD.'
       );
     }
 
-    const transporter = createTransporter();
+    const transporter = createTransporter(settings);
 
     const mailOptions = {
-      from: process.env.GMAIL_USER,
+      from: settings.from || user || 'te-monitor@localhost',
       to,
       subject,
-      html: message, // Supports HTML content
-      text: message.replace(/<[^>]*>/g, '') // Strip HTML for text version
+      html,
+      text,
+      attachments
     };
 
     const result = await transporter.sendMail(mailOptions);
-    console.log('Email sent successfully:', result.messageId);
+
+    if (transport === 'file') {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(
+        dir,
+        `${Date.now()}-${result.messageId.replace(/[^\w.-]/g, '')}.eml`
+      );
+      await fs.writeFile(file, result.message);
+      log.info(`Email written to ${file}`);
+    } else if (transport === 'stream') {
+      process.stdout.write(`${result.message.toString()}\n`);
+    } else {
+      log.info('Email sent successfully', { messageId: result.messageId });
+    }
     return result;
   } catch (error) {
-    console.error('Error sending email:', error.message);
+    log.error('Error sending email', { error });
     throw error;
   }
 };
@@ -1,67 +1,213 @@
-import fs from 'fs/promises';
 import { WebPageMonitor } from './web-page-monitor.js';
+import { BrowserManager } from './browser-manager.js';
+import { loadTargetsFile } from './targets.js';
+import {
+  createAlertDispatcher,
+  defaultNotifierDefinitions,
+  validateNotifierNames
+} from './notifiers/index.js';
+import { startControlServer } from './control-server.js';
+import { loadConfig, formatConfig, describeSettings } from './config-loader.js';
+import { Logger } from './logger.js';
+import { MonitorMetrics } from './metrics.js';
+
+/**
+ * Build the target list and notifier definitions from the configuration
+ * Uses the targets file when set, otherwise a single url target
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {Promise<{targets: Object[], notifiers: Object[]|null}>} Target
+ *   configurations and notifier definitions
+ */
+export const resolveTargets = async (config) => {
+  if (config.targetsFile) {
+    return loadTargetsFile(config.targetsFile);
+  }
+
+  const targets = [
+    {
+      url: config.url,
+      checkInterval: config.interval,
+      alertWebhook: config.webhook || null,
+      selector: config.selector,
+      extract: config.extract,
+      mode: config.mode,
+      ...(config.stateFile && { stateFile: config.stateFile }),
+      ...(config.cron && {
+        schedule: { cron: config.cron, timezone: config.timezone }
+      })
+    }
+  ];
+  return { targets, notifiers: null };
+};
+
+/**
+ * Connection settings the built-in notifiers fall back to
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {Object} Options by notifier type
+ */
+export const notifierDefaults = (config) => ({
+  email: config.email || {},
+  lamp: config.homebridge || {}
+});
+
+/**
+ * Create the logger described by the configuration
+ * `debug` lowers the level to debug unless a more verbose one is set.
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {Logger} Logger
+ */
+export const createLogger = (config) => {
+  const { level = 'info', format = 'pretty' } = config.log || {};
+  return new Logger({
+    level:
+      config.debug && ['info', 'warn', 'error'].includes(level)
+        ? 'debug'
+        : level,
+    format
+  });
+};
+
+/**
+ * Create a monitor for every configured target, sharing one browser
+ * @param {Object} config - Configuration from loadConfig
+ * @param {Object} [options] - Monitor options
+ * @param {Function} [options.getElementHash] - Custom hash function overriding the extraction strategies
+ * @param {Function} [options.handleAlert] - Alert callback, defaults to the configured notifiers
+ * @param {Object} [options.logger] - Logger, defaults to the configured one
+ * @returns {Promise<{monitors: WebPageMonitor[], browserManager: BrowserManager,
+ *   onAlert: Function, metrics: MonitorMetrics|null}>} Monitors, their shared
+ *   browser manager, alert handler and metrics when enabled
+ */
+export const createMonitors = async (
+  config,
+  { getElementHash, handleAlert, logger = createLogger(config) } = {}
+) => {
+  const { targets, notifiers } = await resolveTargets(config);
+  let onAlert = handleAlert;
+  if (!onAlert) {
+    const defaults = notifierDefaults(config);
+    const definitions = notifiers || defaultNotifierDefinitions(defaults);
+    validateNotifierNames(definitions, targets);
+    onAlert = createAlertDispatcher(definitions, defaults, logger);
+  }
+
+  // All targets share one browser to keep memory usage flat
+  const { type: browser, ...browserOptions } = config.browser;
+  const browserManager = new BrowserManager({
+    browser,
+    ...browserOptions,
+    logger
+  });
+  const metrics = config.http?.metrics
+    ? new MonitorMetrics({ browserManager })
+    : null;
+
+  const monitors = targets.map(
+    (target) =>
+      new WebPageMonitor({
+        headless: config.browser.headless,
+        browser,
+        debug: config.debug,
+        maxRetries: 3,
+        onAlert,
+        getElementHash,
+        logger,
+        metrics,
+        ...target,
+        browserManager
+      })
+  );
+
+  return { monitors, browserManager, onAlert, metrics };
+};
 
 /**
  * Main entry point for the monitoring application
- * Handles environment configuration and graceful shutdown
+ * Handles configuration and graceful shutdown
+ * @param {Function} [getElementHash] - Custom hash function overriding the extraction strategies
+ * @param {Function} [handleAlert] - Alert callback, defaults to the configured notifiers
+ * @param {Object} [options] - Configuration sources, see loadConfig
+ * @param {string[]} [options.args] - Command line arguments, defaults to the process arguments
+ * @param {Object} [options.env] - Environment variables, defaults to the process environment
  */
-export const main = async (getElementHash, handleAlert) => {
-  const url = process.env.MONITOR_URL;
-  const checkInterval =
-    parseInt(process.env.MONITOR_INTERVAL) || 10 * 60 * 1000; // Default 10 minutes
-  const debug = process.env.MONITOR_DEBUG === 'true';
-  const webhookUrl = process.env.MONITOR_WEBHOOK || null;
-  const clearState = process.env.MONITOR_CLEAR_STATE === 'true';
-  const selector = process.env.MONITOR_SELECTOR || 'body';
-
-  if (!process.env.MONITOR_URL) {
-    console.log('⚠️  Required environment variable missing:');
-    console.log('   MONITOR_URL - URL to monitor (required)');
-    console.log('   MONITOR_INTERVAL - Check interval in ms (optional)');
-    console.log('   MONITOR_DEBUG - Enable debug logging (optional)');
-    console.log('   MONITOR_WEBHOOK - Webhook URL for alerts (optional)');
-    console.log(
-      '   MONITOR_CLEAR_STATE - Clear previous state before starting (optional)\n'
-    );
+export const main = async (
+  getElementHash,
+  handleAlert,
+  { args = process.argv.slice(2), env = process.env } = {}
+) => {
+  let loaded;
+  try {
+    loaded = await loadConfig({ args, env });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
     process.exit(1);
   }
+  const { config, sources } = loaded;
 
-  const monitor = new WebPageMonitor({
-    url,
-    checkInterval,
-    headless: true,
-    debug,
-    maxRetries: 3,
-    alertWebhook: webhookUrl,
-    onAlert: handleAlert,
-    getElementHash,
-    selector
-  });
+  if (config.printConfig) {
+    console.log(formatConfig(config, sources));
+    process.exit(0);
+  }
+
+  if (!config.url && !config.targetsFile) {
+    console.log('⚠️  Set MONITOR_URL or MONITOR_TARGETS_FILE. Settings:');
+    console.log(`${describeSettings()}\n`);
+    process.exit(1);
+  }
+
+  const logger = createLogger(config);
+  logger.debug(`⚙️  Configuration:\n${formatConfig(config, sources)}`);
+
+  const { monitors, browserManager, onAlert, metrics } = await createMonitors(
+    config,
+    {
+      getElementHash,
+      handleAlert,
+      logger
+    }
+  );
 
   // Clear state if requested
-  if (clearState) {
-    try {
-      await fs.unlink(monitor.config.stateFile);
-      console.log('✅ Previous state cleared\n');
-    } catch (error) {
-      // File doesn't exist, that's fine
+  if (config.clearState) {
+    for (const monitor of monitors) {
+      await monitor.resetState();
     }
+    logger.info('✅ Previous state cleared');
   }
 
+  // Optional control and status API
+  const server = config.http.port
+    ? await startControlServer({
+        monitors,
+        browserManager,
+        port: config.http.port,
+        host: config.http.host,
+        token: config.http.token,
+        metrics,
+        logger
+      })
+    : null;
+
   /**
    * Handle graceful shutdown of the monitoring process
    */
   const shutdown = async () => {
-    console.log('\n⏸️  Gracefully shutting down...');
-    await monitor.stop();
+    logger.info('⏸️  Gracefully shutting down...');
+    server?.close();
+    await Promise.all(monitors.map((monitor) => monitor.stop()));
+    await browserManager.close();
+    // Send email digests still waiting for their window to end
+    await onAlert.flush?.();
     process.exit(0);
   };
 
   process.on('SIGINT', shutdown);
   process.on('SIGTERM', shutdown);
 
-  // Start monitoring
-  await monitor.start();
+  // Start monitoring, one target at a time so initial checks don't pile up
+  for (const monitor of monitors) {
+    await monitor.start();
+  }
 };
 
 // Run if this is the main module
@@ -0,0 +1,289 @@
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {any} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+
+/**
+ * Render a label set such as `{target="shop"}`
+ * @param {Object<string, any>} labels - Labels
+ * @returns {string} Label set, empty without labels
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length
+    ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+};
+
+/**
+ * One metric with a value per label set
+ */
+class Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {string} type - Prometheus type (counter, gauge)
+   */
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map();
+  }
+
+  /**
+   * Get the series for a label set, creating it at zero
+   * @param {Object<string, any>} labels - Labels
+   * @returns {{labels: Object, value: number}} Series
+   */
+  get(labels) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, value: 0 });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Set the value of a series, for gauges and counts kept elsewhere
+   * @param {Object<string, any>} labels - Labels
+   * @param {number} value - Value
+   */
+  set(labels, value) {
+    this.get(labels).value = value;
+  }
+
+  /**
+   * Increase a series
+   * @param {Object<string, any>} [labels] - Labels
+   * @param {number} [by=1] - Amount
+   */
+  inc(labels = {}, by = 1) {
+    this.get(labels).value += by;
+  }
+
+  /**
+   * Render in the text exposition format
+   * @returns {string[]} Lines
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...[...this.series.entries()].map(
+        ([key, { value }]) => `${this.name}${key} ${value}`
+      )
+    ];
+  }
+}
+
+/**
+ * Histogram with fixed buckets per label set
+ */
+class Histogram {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {number[]} buckets - Upper bounds, ascending
+   */
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  /**
+   * Record one observation
+   * @param {Object<string, any>} labels - Labels
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        labels,
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      });
+    }
+
+    const series = this.series.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Render in the text exposition format
+   * @returns {string[]} Lines
+   */
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} histogram`
+    ];
+
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${this.name}_sum${formatLabels(labels)} ${sum}`,
+        `${this.name}_count${formatLabels(labels)} ${count}`
+      );
+    }
+
+    return lines;
+  }
+}
+
+/**
+ * Prometheus metrics for the monitors and their shared browser
+ *
+ * Monitors report checks and alerts as they happen; browser counters are
+ * read from the browser manager whenever the metrics are rendered.
+ */
+export class MonitorMetrics {
+  /**
+   * Create a new MonitorMetrics instance
+   * @param {Object} [options] - Metrics options
+   * @param {import('./browser-manager.js').BrowserManager} [options.browserManager] - Shared browser manager
+   * @param {number[]} [options.durationBuckets] - Check duration histogram buckets in seconds
+   */
+  constructor({
+    browserManager = null,
+    durationBuckets = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120]
+  } = {}) {
+    this.browserManager = browserManager;
+
+    this.checks = new Metric(
+      'te_monitor_checks_total',
+      'Checks run, by outcome',
+      'counter'
+    );
+    this.duration = new Histogram(
+      'te_monitor_check_duration_seconds',
+      'Check duration including retries',
+      durationBuckets
+    );
+    this.retries = new Metric(
+      'te_monitor_check_retries_total',
+      'Page load attempts retried after a failure',
+      'counter'
+    );
+    this.failures = new Metric(
+      'te_monitor_check_failures_total',
+      'Failed checks, by error type',
+      'counter'
+    );
+    this.changes = new Metric(
+      'te_monitor_changes_total',
+      'Changes detected',
+      'counter'
+    );
+    this.alerts = new Metric(
+      'te_monitor_alerts_total',
+      'Alerts sent, by notifier and result',
+      'counter'
+    );
+    this.lastSuccess = new Metric(
+      'te_monitor_last_success_timestamp_seconds',
+      'Unix time of the last check that did not fail',
+      'gauge'
+    );
+    this.browserLaunches = new Metric(
+      'te_monitor_browser_launches_total',
+      'Browser launches, including relaunches',
+      'counter'
+    );
+    this.browserCrashes = new Metric(
+      'te_monitor_browser_crashes_total',
+      'Browsers that disconnected unexpectedly',
+      'counter'
+    );
+    this.browserRecycles = new Metric(
+      'te_monitor_browser_recycles_total',
+      'Browsers restarted after too many checks or too much memory',
+      'counter'
+    );
+  }
+
+  /**
+   * Record a finished check
+   * @param {string} target - Target id
+   * @param {Object} check - Check summary
+   * @param {string} check.outcome - initial, unchanged, changed or error
+   * @param {number} check.duration - Duration in milliseconds
+   * @param {number} [check.retries=0] - Attempts retried
+   * @param {string} [check.errorType] - Error type of a failed check
+   */
+  recordCheck(target, { outcome, duration, retries = 0, errorType }) {
+    this.checks.inc({ target, outcome });
+    this.duration.observe({ target }, duration / 1000);
+    if (retries > 0) {
+      this.retries.inc({ target }, retries);
+    }
+
+    if (outcome === 'error') {
+      this.failures.inc({ target, error_type: errorType || 'other' });
+      return;
+    }
+    if (outcome === 'changed') {
+      this.changes.inc({ target });
+    }
+    this.lastSuccess.set({ target }, Math.floor(Date.now() / 1000));
+  }
+
+  /**
+   * Record an alert delivery
+   * @param {string} target - Target id
+   * @param {string} notifier - Notifier name
+   * @param {boolean} ok - Whether it was delivered
+   */
+  recordAlert(target, notifier, ok) {
+    this.alerts.inc({ target, notifier, result: ok ? 'success' : 'failure' });
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string} Metrics
+   */
+  render() {
+    if (this.browserManager) {
+      const { launches, crashes, recycles } = this.browserManager.getStats();
+      this.browserLaunches.set({}, launches);
+      this.browserCrashes.set({}, crashes);
+      this.browserRecycles.set({}, recycles);
+    }
+
+    return `${[
+      this.checks,
+      this.duration,
+      this.retries,
+      this.failures,
+      this.changes,
+      this.alerts,
+      this.lastSuccess,
+      this.browserLaunches,
+      this.browserCrashes,
+      this.browserRecycles
+    ]
+      .flatMap((metric) => metric.render())
+      .join('\n')}\n`;
+  }
+}
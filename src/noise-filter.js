@@ -0,0 +1,163 @@
+import { fingerprint } from './extractors.js';
+import { computeDiff } from './content-diff.js';
+
+/**
+ * Built-in normalizations, usable by name in `normalize` lists
+ * @type {Object<string, Function>}
+ */
+const PRESETS = {
+  stripDigits: (text) => text.replace(/\d+/g, ''),
+  collapseWhitespace: (text) => text.replace(/\s+/g, ' ').trim(),
+  lowercase: (text) => text.toLowerCase()
+};
+
+/**
+ * Remove the elements matching any of the selectors
+ * Serialized and run inside the page as well, so it must be self-contained.
+ * @param {string[]} selectors - CSS selectors of noisy elements
+ * @param {Document} [root=document] - Document to clean, the page's own by default
+ * @returns {number} Number of removed elements
+ */
+export const removeIgnored = (selectors, root = document) => {
+  let removed = 0;
+  for (const selector of selectors) {
+    for (const el of Array.from(root.querySelectorAll(selector))) {
+      el.remove();
+      removed += 1;
+    }
+  }
+  return removed;
+};
+
+/**
+ * Validate normalization rules and turn them into text transforms
+ *
+ * A rule is a preset name (stripDigits, collapseWhitespace, lowercase), or an
+ * object with a `preset` or a regex `pattern` (`flags` default to 'g') and its
+ * `replace` string. `within` limits a rule to the parts of the text matching
+ * that regex, e.g. the digits of "updated 5 minutes ago" only.
+ *
+ * @example
+ * compileNormalizers([
+ *   'collapseWhitespace',
+ *   { preset: 'stripDigits', within: '\\d+ (?:minutes|hours) ago' },
+ *   { pattern: 'csrf=\\w+', replace: 'csrf=' }
+ * ]);
+ * @param {Array<string|Object>} rules - Normalization rules
+ * @returns {Function[]} Transforms, applied in order
+ * @throws {Error} When a rule is unknown or invalid
+ */
+export const compileNormalizers = (rules) => {
+  if (!Array.isArray(rules)) {
+    throw new Error('"normalize" must be a list');
+  }
+
+  return rules.map((rule, index) => {
+    const {
+      preset,
+      pattern,
+      flags = 'g',
+      replace = '',
+      within
+    } = typeof rule === 'string' ? { preset: rule } : rule;
+
+    let apply;
+    if (preset !== undefined) {
+      apply = PRESETS[preset];
+      if (!apply) {
+        throw new Error(
+          `Unknown normalization "${preset}". Available: ${Object.keys(PRESETS).join(', ')}`
+        );
+      }
+    } else if (typeof pattern === 'string') {
+      const regex = new RegExp(pattern, flags);
+      apply = (text) => text.replace(regex, replace);
+    } else {
+      throw new Error(
+        `Normalization rule #${index + 1} needs a "preset" or a "pattern"`
+      );
+    }
+
+    if (!within) {
+      return apply;
+    }
+    const region = new RegExp(within, 'g');
+    return (text) => text.replace(region, (match) => apply(match));
+  });
+};
+
+/**
+ * Apply normalizations to every string in an extracted value
+ * @param {any} value - Extracted value
+ * @param {Function[]} normalizers - Transforms from compileNormalizers
+ * @returns {any} Normalized value
+ */
+export const normalizeValue = (value, normalizers) => {
+  if (typeof value === 'string') {
+    return normalizers.reduce((text, apply) => apply(text), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => normalizeValue(item, normalizers));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        normalizeValue(item, normalizers)
+      ])
+    );
+  }
+  return value;
+};
+
+/**
+ * Normalize extracted content and fingerprint the result
+ * @param {{fingerprint: string, value: any}} extracted - Extracted content
+ * @param {Function[]} normalizers - Transforms from compileNormalizers
+ * @returns {{fingerprint: string, value: any}} Normalized content
+ */
+export const normalizeExtracted = ({ value }, normalizers) => {
+  const normalized = normalizeValue(value, normalizers);
+  return { fingerprint: fingerprint(normalized), value: normalized };
+};
+
+/**
+ * Presets that would make all variants of a part equal
+ * @param {string[]} variants - Texts of the same part across loads
+ * @returns {string[]} Preset names
+ */
+const suggestPresets = (variants) =>
+  Object.entries(PRESETS)
+    .filter(([, apply]) => new Set(variants.map(apply)).size === 1)
+    .map(([name]) => name);
+
+/**
+ * Find the parts of a snapshot that vary between loads of the same page
+ * @param {string[]} snapshots - Text snapshots, one per load
+ * @returns {Object[]} Varying parts as `{ first, variants, suggest }`: the
+ *   text of the first load, the texts seen instead in later loads, and the
+ *   presets that would hide the difference
+ */
+export const findVaryingParts = (snapshots) => {
+  const [first, ...others] = snapshots;
+  const parts = new Map();
+
+  for (const snapshot of others) {
+    for (const hunk of computeDiff(first, snapshot)?.hunks ?? []) {
+      if (hunk.type === 'unchanged') {
+        continue;
+      }
+      const text = (hunk.removed ?? []).join('\n');
+      if (!parts.has(text)) {
+        parts.set(text, new Set());
+      }
+      parts.get(text).add((hunk.added ?? []).join('\n'));
+    }
+  }
+
+  return [...parts].map(([text, seen]) => ({
+    first: text,
+    variants: [...seen],
+    suggest: suggestPresets([text, ...seen])
+  }));
+};
@@ -0,0 +1,37 @@
+import { renderTemplate, summarizeAlert, postOrThrow } from './template.js';
+
+/**
+ * Build an incoming-webhook notifier for chat services
+ * @param {string} field - Payload field carrying the message text
+ * @returns {Function} Notifier factory
+ */
+const createChatNotifier =
+  (field) =>
+  ({ url, template }) => {
+    if (!url) {
+      throw new Error('Chat notifier requires "url"');
+    }
+
+    return async (alert) => {
+      const text = template
+        ? renderTemplate(template, alert)
+        : summarizeAlert(alert);
+
+      await postOrThrow(url, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ [field]: text })
+      });
+    };
+  };
+
+/**
+ * Slack incoming webhook notifier
+ * @type {Function}
+ */
+export const createSlackNotifier = createChatNotifier('text');
+
+/**
+ * Discord incoming webhook notifier
+ * @type {Function}
+ */
+export const createDiscordNotifier = createChatNotifier('content');
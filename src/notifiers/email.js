@@ -0,0 +1,254 @@
+import { sendEmail } from '../mailer.js';
+import { defaultLogger } from '../logger.js';
+import { escapeHtml, renderDiffHtml } from '../content-diff.js';
+import { renderTemplate, summarizeAlert } from './template.js';
+
+/**
+ * Default subject per alert type
+ * @type {Object<string, string>}
+ */
+const SUBJECTS = {
+  change: '{target} changed',
+  error: '{target} check failing',
+  unavailable: '{target} unavailable',
+  recovery: '{target} recovered'
+};
+
+const DIGEST_SUBJECT = '{count} alerts from te-monitor';
+
+/**
+ * Render a subject, accepting `{path}` as well as `{{path}}` placeholders
+ * @param {string} template - Subject template, e.g. `{target} changed`
+ * @param {Object} data - Values available to placeholders
+ * @returns {string} Subject
+ */
+const renderSubject = (template, data) =>
+  String(
+    renderTemplate(
+      template.replace(/(?<!\{)\{\s*([\w.]+)\s*\}(?!\})/g, '{{$1}}'),
+      data
+    ) ?? ''
+  );
+
+/**
+ * Build the before/after/diff screenshot attachments for an alert
+ * @param {Object} alert - Alert object from WebPageMonitor
+ * @param {string} [prefix=''] - Content id prefix, keeps ids unique in digests
+ * @returns {Object[]} Nodemailer attachments, embedded by content id
+ */
+const screenshotAttachments = (alert, prefix = '') =>
+  alert.visual
+    ? ['before', 'after', 'diff'].map((name) => ({
+        filename: `${prefix}${name}.png`,
+        path: alert.visual[name],
+        cid: `${prefix}${name}@te-monitor`
+      }))
+    : [];
+
+/**
+ * Render a value for an HTML email
+ * @param {any} value - Extracted value
+ * @returns {string} HTML
+ */
+const renderValue = (value) =>
+  `<pre style="white-space:pre-wrap;">${escapeHtml(
+    typeof value === 'string' ? value : JSON.stringify(value, null, 2)
+  )}</pre>`;
+
+/**
+ * HTML body sections per alert type
+ * Each receives the alert and the screenshot content id prefix.
+ * @type {Object<string, Function>}
+ */
+const HTML_SECTIONS = {
+  change: (alert, prefix) => {
+    const { diff, visual } = alert;
+    return [
+      diff
+        ? `<h3>What changed (+${diff.added} -${diff.removed})</h3>${renderDiffHtml(diff)}`
+        : `<h3>New value</h3>${renderValue(alert.currentValue)}`,
+      visual
+        ? `<h3>Visual change: ${visual.percentage}% of pixels</h3>` +
+          ['before', 'after', 'diff']
+            .map(
+              (name) =>
+                `<p>${name}<br><img src="cid:${prefix}${name}@te-monitor" style="max-width:100%;border:1px solid #d0d7de;"></p>`
+            )
+            .join('')
+        : ''
+    ].join('\n');
+  },
+  error: (alert) =>
+    alert.previousValue !== undefined
+      ? `<h3>Last known value</h3>${renderValue(alert.previousValue)}`
+      : '',
+  unavailable: (alert) => HTML_SECTIONS.error(alert),
+  recovery: (alert) =>
+    alert.currentValue !== undefined
+      ? `<h3>Current value</h3>${renderValue(alert.currentValue)}`
+      : ''
+};
+
+/**
+ * Build the HTML body for one alert
+ * @param {Object} alert - Alert object from WebPageMonitor
+ * @param {string} [prefix=''] - Screenshot content id prefix
+ * @returns {string} HTML fragment
+ */
+const renderAlertHtml = (alert, prefix = '') => {
+  const section = HTML_SECTIONS[alert.type] || HTML_SECTIONS.change;
+  return [
+    `<p><strong>${escapeHtml(alert.severity)}: ${escapeHtml(alert.message)}</strong></p>`,
+    `<p><a href="${escapeHtml(alert.url)}">${escapeHtml(alert.url)}</a><br>` +
+      `<small>${escapeHtml(alert.target)} · ${escapeHtml(alert.selector ?? '')} · ${escapeHtml(alert.timestamp)}</small></p>`,
+    section(alert, prefix)
+  ].join('\n');
+};
+
+/**
+ * Build the plain-text body for one alert
+ * @param {Object} alert - Alert object from WebPageMonitor
+ * @returns {string} Text
+ */
+const renderAlertText = (alert) =>
+  [
+    summarizeAlert(alert, Infinity),
+    '',
+    `Target: ${alert.target}`,
+    `Selector: ${alert.selector ?? ''}`,
+    `Time: ${alert.timestamp}`
+  ].join('\n');
+
+/**
+ * Wrap an HTML fragment in a minimal document
+ * @param {string} body - HTML fragment
+ * @returns {string} HTML document
+ */
+const wrapHtml = (body) =>
+  `<!DOCTYPE html><html><body style="font-family:sans-serif;">${body}</body></html>`;
+
+/**
+ * Build the email for a single alert
+ * @param {Object} alert - Alert object from WebPageMonitor
+ * @param {string|Object<string, string>} [subject] - Subject template, or one per alert type
+ * @returns {{subject: string, html: string, text: string, attachments: Object[]}} Email
+ */
+export const renderAlertEmail = (alert, subject = {}) => {
+  const template =
+    typeof subject === 'string'
+      ? subject
+      : subject[alert.type] || SUBJECTS[alert.type] || SUBJECTS.change;
+
+  return {
+    subject: renderSubject(template, alert),
+    html: wrapHtml(renderAlertHtml(alert)),
+    text: renderAlertText(alert),
+    attachments: screenshotAttachments(alert)
+  };
+};
+
+/**
+ * Build one email for several alerts
+ * @param {Object[]} alerts - Alerts in the order they were raised
+ * @param {string} [subject] - Subject template, `{count}` and `{targets}` are available
+ * @returns {{subject: string, html: string, text: string, attachments: Object[]}} Email
+ */
+export const renderDigestEmail = (alerts, subject = DIGEST_SUBJECT) => {
+  const targets = [...new Set(alerts.map((alert) => alert.target))];
+
+  return {
+    subject: renderSubject(subject, {
+      count: alerts.length,
+      targets: targets.join(', ')
+    }),
+    html: wrapHtml(
+      alerts
+        .map(
+          (alert, i) =>
+            `<h2>${escapeHtml(alert.target)}</h2>\n${renderAlertHtml(alert, `${i}-`)}`
+        )
+        .join('\n<hr>\n')
+    ),
+    text: alerts.map(renderAlertText).join(`\n\n${'-'.repeat(40)}\n\n`),
+    attachments: alerts.flatMap((alert, i) =>
+      screenshotAttachments(alert, `${i}-`)
+    )
+  };
+};
+
+/**
+ * Email notifier
+ *
+ * Sends an HTML and plain-text email per alert. With `digestWindow`, the
+ * first alert starts a window and every alert raised during it is sent in a
+ * single email when it ends; use a second email notifier filtered by `types`
+ * to keep errors immediate.
+ *
+ * @example
+ * { type: 'email', to: 'me@example.com', host: 'smtp.example.com', port: 587,
+ *   user: 'alerts', password: '...', subject: { change: '[web] {target} changed' },
+ *   digestWindow: 3600000 }
+ *
+ * @param {Object} options - Notifier options, plus the mail settings of sendEmail
+ *   (transport, host, port, secure, user, password, from, dir)
+ * @param {string} [options.to] - Recipient, the target's `notify.email` takes precedence
+ * @param {string|Object<string, string>} [options.subject] - Subject template, or one
+ *   per alert type; `{target}` and other alert fields are replaced
+ * @param {number} [options.digestWindow=0] - Batch alerts over this many milliseconds (0 = off)
+ * @param {string} [options.digestSubject] - Digest subject template, `{count}` and
+ *   `{targets}` are available
+ * @param {Object} [log] - Logger, see Logger
+ * @returns {Function} Notifier function, with `flush()` sending pending digests
+ */
+export const createEmailNotifier = (
+  { to, subject, digestWindow = 0, digestSubject, ...settings },
+  log = defaultLogger
+) => {
+  // Pending digests by recipient
+  const digests = new Map();
+
+  const sendDigest = async (recipient) => {
+    const digest = digests.get(recipient);
+    if (!digest) {
+      return;
+    }
+    digests.delete(recipient);
+    clearTimeout(digest.timer);
+
+    const email =
+      digest.alerts.length === 1
+        ? renderAlertEmail(digest.alerts[0], subject)
+        : renderDigestEmail(digest.alerts, digestSubject);
+    await sendEmail({ to: recipient, ...email }, settings, log);
+  };
+
+  const send = async (alert, target = {}) => {
+    const recipient = target.notify?.email || to;
+
+    if (!recipient) {
+      throw new Error('Recipient email not found. Please set EMAIL_TO.');
+    }
+    if (!digestWindow) {
+      await sendEmail(
+        { to: recipient, ...renderAlertEmail(alert, subject) },
+        settings,
+        log
+      );
+      return;
+    }
+
+    if (!digests.has(recipient)) {
+      const timer = setTimeout(() => {
+        sendDigest(recipient).catch((error) =>
+          log.error('Sending email digest failed', { error })
+        );
+      }, digestWindow);
+      digests.set(recipient, { alerts: [], timer });
+    }
+    digests.get(recipient).alerts.push(alert);
+  };
+
+  send.flush = () => Promise.all([...digests.keys()].map(sendDigest));
+
+  return send;
+};
@@ -0,0 +1,196 @@
+import { createEmailNotifier } from './email.js';
+import { createLampNotifier } from './lamp.js';
+import { createWebhookNotifier } from './webhook.js';
+import { createSlackNotifier, createDiscordNotifier } from './chat.js';
+import { createNtfyNotifier, createGotifyNotifier } from './push.js';
+import { defaultLogger, withContext } from '../logger.js';
+
+/**
+ * Notifier factories by type
+ * A factory receives the notifier definition and a logger and returns an
+ * async `(alert, target) => void` function that throws on failure. Notifiers that
+ * hold alerts back attach a `flush()` method to that function.
+ * @type {Object<string, Function>}
+ */
+const factories = {
+  email: createEmailNotifier,
+  lamp: createLampNotifier,
+  webhook: createWebhookNotifier,
+  slack: createSlackNotifier,
+  discord: createDiscordNotifier,
+  ntfy: createNtfyNotifier,
+  gotify: createGotifyNotifier
+};
+
+/**
+ * Register a custom notifier type
+ * @example
+ * registerNotifier('console', (options) => async (alert) => {
+ *   console.log(options.prefix, alert.message);
+ * });
+ * @param {string} type - Notifier type, referenced by `type` in notifier definitions
+ * @param {Function} factory - `(options, log) => async (alert, target) => void`
+ */
+export const registerNotifier = (type, factory) => {
+  if (typeof factory !== 'function') {
+    throw new Error(`Notifier factory for "${type}" must be a function`);
+  }
+  factories[type] = factory;
+};
+
+/**
+ * List the registered notifier types
+ * @returns {string[]} Notifier types
+ */
+export const listNotifierTypes = () => Object.keys(factories);
+
+/**
+ * Instantiate a notifier from its definition
+ * @param {Object} definition - Notifier definition, overriding the defaults for its type
+ * @param {string} definition.type - Notifier type
+ * @param {string} [definition.name] - Name used in logs and target routing, defaults to the type
+ * @param {string[]} [definition.targets] - Only fire for these target ids
+ * @param {string[]} [definition.types] - Only fire for these alert types (change, error, unavailable,
+ *   recovery)
+ * @param {Object<string, Object>} [defaults] - Options by notifier type, e.g. connection settings
+ * @param {Object} [logger] - Logger, see Logger
+ * @returns {{name: string, targets: string[]|null, types: string[]|null, send: Function}} Notifier
+ * @throws {Error} When the type is unknown or the options are invalid
+ */
+export const createNotifier = (
+  definition,
+  defaults = {},
+  logger = defaultLogger
+) => {
+  const { type, name = type, targets = null, types = null } = definition;
+  const factory = factories[type];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown notifier type "${type}". Available: ${listNotifierTypes().join(', ')}`
+    );
+  }
+
+  return {
+    name,
+    targets,
+    types,
+    send: factory(
+      { ...defaults[type], ...definition },
+      withContext(logger, { notifier: name })
+    )
+  };
+};
+
+/**
+ * Notifier definitions used when none are configured
+ * Mirrors the original behaviour: Homebridge lamp and email, when they are
+ * configured
+ * @param {Object<string, Object>} [defaults] - Options by notifier type
+ * @returns {Object[]} Notifier definitions
+ */
+export const defaultNotifierDefinitions = (defaults = {}) => [
+  ...(defaults.lamp?.host ? [{ type: 'lamp' }] : []),
+  ...(defaults.email?.user ||
+  defaults.email?.host ||
+  ['stream', 'file'].includes(defaults.email?.transport)
+    ? [{ type: 'email' }]
+    : [])
+];
+
+/**
+ * Check that notifier names are unique and that targets only list defined ones
+ * @param {Object[]} definitions - Notifier definitions
+ * @param {Object[]} targets - Target configurations
+ * @throws {Error} When two notifiers share a name or a target names an
+ *   undefined notifier
+ */
+export const validateNotifierNames = (definitions, targets) => {
+  const names = definitions.map(({ name, type }) => name || type);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(
+      `Duplicate notifier name "${duplicate}", give each notifier its own "name"`
+    );
+  }
+
+  for (const target of targets) {
+    if (target.notifiers !== undefined && !Array.isArray(target.notifiers)) {
+      throw new Error(`"notifiers" of target "${target.id}" must be a list`);
+    }
+    const unknown = (target.notifiers || []).find(
+      (name) => !names.includes(name)
+    );
+    if (unknown) {
+      throw new Error(
+        `Target "${target.id}" names unknown notifier "${unknown}". Defined: ${names.join(', ') || 'none'}`
+      );
+    }
+  }
+};
+
+/**
+ * Decide whether a notifier should fire for an alert
+ * @param {Object} notifier - Notifier created by createNotifier
+ * @param {Object} alert - Alert object from WebPageMonitor
+ * @param {Object} target - Target configuration
+ * @returns {boolean} Whether the notifier applies
+ */
+const isRouted = (notifier, alert, target) =>
+  (!notifier.targets || notifier.targets.includes(alert.target)) &&
+  (!notifier.types || notifier.types.includes(alert.type)) &&
+  (!Array.isArray(target.notifiers) ||
+    target.notifiers.includes(notifier.name));
+
+/**
+ * Create an `onAlert` handler that routes alerts to notifiers
+ *
+ * A notifier fires when the alert's target and type match its `targets` and
+ * `types` filters, and, if the target lists `notifiers` by name, when it is
+ * one of them. Failures of one channel never block the others.
+ *
+ * @param {Object[]|null} [definitions] - Notifier definitions, defaults to the
+ *   lamp and email when their connection settings are given
+ * @param {Object<string, Object>} [defaults] - Options by notifier type, such as the
+ *   Homebridge and Gmail connection settings
+ * @param {Object} [logger] - Logger, see Logger
+ * @returns {Function} `async (alert, target) => results` alert handler, with
+ *   `flush()` delivering alerts notifiers still hold back, such as email digests
+ */
+export const createAlertDispatcher = (
+  definitions = null,
+  defaults = {},
+  logger = defaultLogger
+) => {
+  const notifiers = (definitions || defaultNotifierDefinitions(defaults)).map(
+    (definition) => createNotifier(definition, defaults, logger)
+  );
+
+  const dispatch = async (alert, target = {}) => {
+    const selected = notifiers.filter((notifier) =>
+      isRouted(notifier, alert, target)
+    );
+
+    const results = await Promise.all(
+      selected.map(async (notifier) => {
+        try {
+          await notifier.send(alert, target);
+          return { name: notifier.name, ok: true };
+        } catch (error) {
+          logger.error(`Notifier ${notifier.name} failed`, {
+            target: alert.target,
+            error
+          });
+          return { name: notifier.name, ok: false, error: error.message };
+        }
+      })
+    );
+
+    return results;
+  };
+
+  dispatch.flush = () =>
+    Promise.all(notifiers.map((notifier) => notifier.send.flush?.()));
+
+  return dispatch;
+};
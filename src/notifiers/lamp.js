@@ -0,0 +1,82 @@
+import { signalLamps } from '../homebridge-client.js';
+import { defaultLogger } from '../logger.js';
+
+/**
+ * Homebridge lamp notifier
+ *
+ * Each alert type shows a light pattern (hue, saturation, brightness, blink,
+ * duration, see signalLamps). `hue`, `errorHue` and `recoveryHue` are
+ * shorthands for the pattern hue. Target `notify.accessory`,
+ * `notify.accessories`, `notify.hue`, `notify.errorHue`, `notify.recoveryHue`
+ * and `notify.patterns` override the options.
+ *
+ * @example
+ * { type: 'lamp', accessories: ['Desk lamp', 'Hallway'],
+ *   patterns: {
+ *     change: { hue: 240, blink: 3, duration: 600000 },
+ *     error: { hue: 0, saturation: 100, brightness: 30 }
+ *   } }
+ *
+ * @param {Object} options - Notifier options
+ * @param {string} [options.accessory] - Default accessory uniqueId or display name
+ * @param {string[]} [options.accessories] - Several accessories, instead of `accessory`
+ * @param {number} [options.hue=240] - Hue for change alerts
+ * @param {number} [options.errorHue=120] - Hue for error and unavailable alerts
+ * @param {number} [options.recoveryHue] - Hue for recovery alerts
+ * @param {Object<string, Object>} [options.patterns] - Light pattern per alert type;
+ *   alert types without a hue or pattern (by default recoveries) are ignored
+ * @param {string} options.host - Homebridge host
+ * @param {number} [options.port] - Homebridge UI port
+ * @param {string} options.username - Homebridge UI username
+ * @param {string} options.password - Homebridge UI password
+ * @param {Object} [log] - Logger, see Logger
+ * @returns {Function} Notifier function
+ */
+export const createLampNotifier =
+  (
+    {
+      accessory,
+      accessories = accessory,
+      hue = 240,
+      errorHue = 120,
+      recoveryHue,
+      patterns = {},
+      host,
+      port,
+      username,
+      password
+    },
+    log = defaultLogger
+  ) =>
+  async (alert, target = {}) => {
+    const notify = target.notify || {};
+    const optionHue = {
+      change: hue,
+      error: errorHue,
+      unavailable: errorHue,
+      recovery: recoveryHue
+    }[alert.type];
+    const notifyHue = {
+      change: notify.hue,
+      error: notify.errorHue,
+      unavailable: notify.errorHue,
+      recovery: notify.recoveryHue
+    }[alert.type];
+    const pattern = {
+      ...(optionHue !== undefined && { hue: optionHue }),
+      ...patterns[alert.type],
+      ...(notifyHue !== undefined && { hue: notifyHue }),
+      ...notify.patterns?.[alert.type]
+    };
+
+    if (Object.keys(pattern).length === 0) {
+      return;
+    }
+
+    await signalLamps(
+      notify.accessories || notify.accessory || accessories,
+      pattern,
+      { host, port, username, password },
+      log
+    );
+  };
@@ -0,0 +1,77 @@
+import { renderTemplate, summarizeAlert, postOrThrow } from './template.js';
+
+/**
+ * Render the title and message of a push notification
+ * @param {Object} alert - Alert object from WebPageMonitor
+ * @param {Object} options - Notifier options
+ * @returns {{title: string, message: string}} Rendered texts
+ */
+const renderPush = (
+  alert,
+  { title = '{{target}}: {{message}}', template }
+) => ({
+  title: renderTemplate(title, alert),
+  message: template ? renderTemplate(template, alert) : summarizeAlert(alert)
+});
+
+/**
+ * ntfy push notifier
+ * @param {Object} options - Notifier options
+ * @param {string} [options.server='https://ntfy.sh'] - ntfy server
+ * @param {string} options.topic - Topic to publish to
+ * @param {string} [options.token] - Access token
+ * @param {number} [options.priority=3] - Message priority (1-5)
+ * @returns {Function} Notifier function
+ */
+export const createNtfyNotifier = (options) => {
+  const { server = 'https://ntfy.sh', topic, token, priority = 3 } = options;
+  if (!topic) {
+    throw new Error('ntfy notifier requires "topic"');
+  }
+
+  return async (alert) => {
+    const { title, message } = renderPush(alert, options);
+
+    // The JSON API takes any text, headers only take Latin-1 without newlines
+    await postOrThrow(`${server.replace(/\/$/, '')}/`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: JSON.stringify({
+        topic,
+        title,
+        message,
+        priority,
+        ...(alert.url && { click: alert.url })
+      })
+    });
+  };
+};
+
+/**
+ * Gotify push notifier
+ * @param {Object} options - Notifier options
+ * @param {string} options.server - Gotify server URL
+ * @param {string} options.token - Application token
+ * @param {number} [options.priority=5] - Message priority
+ * @returns {Function} Notifier function
+ */
+export const createGotifyNotifier = (options) => {
+  const { server, token, priority = 5 } = options;
+  if (!server || !token) {
+    throw new Error('Gotify notifier requires "server" and "token"');
+  }
+
+  return async (alert) => {
+    const { title, message } = renderPush(alert, options);
+
+    await postOrThrow(`${server.replace(/\/$/, '')}/message`, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Gotify-Key': token
+      },
+      body: JSON.stringify({ title, message, priority })
+    });
+  };
+};
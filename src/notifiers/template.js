@@ -0,0 +1,100 @@
+/**
+ * Look up a dot-separated path in an object
+ * @param {Object} data - Source object
+ * @param {string} path - Path such as `diff.text`
+ * @returns {any} Value at the path, or undefined
+ */
+const lookup = (data, path) =>
+  path.split('.').reduce((value, key) => value?.[key], data);
+
+/**
+ * Render `{{path}}` placeholders in a template
+ *
+ * String templates get every placeholder replaced by its value (objects are
+ * JSON-encoded). Object templates are rendered leaf by leaf, and a leaf that
+ * is exactly one placeholder keeps the raw value so numbers and objects stay
+ * typed in JSON bodies.
+ *
+ * @param {string|Object|Array} template - Template to render
+ * @param {Object} data - Values available to placeholders
+ * @returns {string|Object|Array} Rendered template
+ */
+export const renderTemplate = (template, data) => {
+  if (Array.isArray(template)) {
+    return template.map((item) => renderTemplate(item, data));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [
+        key,
+        renderTemplate(value, data)
+      ])
+    );
+  }
+
+  if (typeof template !== 'string') {
+    return template;
+  }
+
+  const single = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+  if (single) {
+    return lookup(data, single[1]) ?? null;
+  }
+
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const value = lookup(data, path);
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+};
+
+/**
+ * Build a short plain-text summary of an alert for chat and push channels
+ * @param {Object} alert - Alert object from WebPageMonitor
+ * @param {number} [maxDiffLength=1500] - Truncate the diff after this many characters
+ * @returns {string} Message text
+ */
+export const summarizeAlert = (alert, maxDiffLength = 1500) => {
+  const lines = [
+    `[${alert.severity}] ${alert.message} (${alert.target})`,
+    alert.url
+  ];
+
+  if (alert.diff) {
+    const { text } = alert.diff;
+    lines.push(
+      '',
+      text.length > maxDiffLength ? `${text.slice(0, maxDiffLength)}…` : text
+    );
+  } else if (alert.currentValue !== undefined) {
+    lines.push(`Value: ${JSON.stringify(alert.currentValue)}`);
+  }
+
+  if (alert.visual) {
+    lines.push(`Visual change: ${alert.visual.percentage}% of pixels`);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * POST a request and fail on non-2xx responses
+ * @param {string} url - Target URL
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>} Response
+ * @throws {Error} When the request fails or returns an error status
+ */
+export const postOrThrow = async (url, init) => {
+  const response = await fetch(url, { method: 'POST', ...init });
+
+  if (!response.ok) {
+    throw new Error(
+      `Request to ${new URL(url).host} failed: ${response.status}`
+    );
+  }
+
+  return response;
+};
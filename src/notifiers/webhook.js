@@ -0,0 +1,30 @@
+import { renderTemplate, postOrThrow } from './template.js';
+
+/**
+ * Generic webhook notifier
+ * Posts the raw alert JSON unless a body template is given
+ * @param {Object} options - Notifier options
+ * @param {string} options.url - Webhook URL
+ * @param {string|Object} [options.body] - Body template with `{{path}}` placeholders;
+ *   objects are sent as JSON, strings as-is
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Function} Notifier function
+ */
+export const createWebhookNotifier = ({ url, body, headers = {} }) => {
+  if (!url) {
+    throw new Error('Webhook notifier requires "url"');
+  }
+
+  return async (alert) => {
+    const rendered = body === undefined ? alert : renderTemplate(body, alert);
+    const isText = typeof rendered === 'string';
+
+    await postOrThrow(url, {
+      headers: {
+        'Content-Type': isText ? 'text/plain' : 'application/json',
+        ...headers
+      },
+      body: isText ? rendered : JSON.stringify(rendered)
+    });
+  };
+};
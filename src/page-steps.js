@@ -0,0 +1,150 @@
+/**
+ * Replace `{{env.NAME}}` references with environment variables
+ * Lets targets files reference credentials without containing them
+ * @param {string} value - Step value
+ * @returns {string} Value with references resolved
+ * @throws {Error} When a referenced variable is not set
+ */
+const resolveEnv = (value) =>
+  String(value).replace(/\{\{\s*env\.(\w+)\s*\}\}/g, (_, name) => {
+    if (process.env[name] === undefined) {
+      throw new Error(`Environment variable ${name} is not set`);
+    }
+    return process.env[name];
+  });
+
+/**
+ * Step actions
+ * Each entry lists the fields a step needs and runs it on a page.
+ * @type {Object<string, {requires: string[], run: Function}>}
+ */
+const actions = {
+  goto: {
+    requires: ['url'],
+    run: (page, { url, waitUntil = 'networkidle2' }) =>
+      page.goto(resolveEnv(url), { waitUntil })
+  },
+
+  click: {
+    requires: ['selector'],
+    run: async (page, { selector, waitForNavigation = false }) => {
+      await page.waitForSelector(selector, { visible: true });
+      await Promise.all([
+        waitForNavigation ? page.waitForNavigation() : null,
+        page.click(selector)
+      ]);
+    }
+  },
+
+  type: {
+    requires: ['selector', 'value'],
+    run: async (page, { selector, value, delay = 50 }) => {
+      await page.waitForSelector(selector, { visible: true });
+      // Replace whatever the field already contains
+      await page.$eval(selector, (element) => {
+        element.value = '';
+      });
+      await page.type(selector, resolveEnv(value), { delay });
+    }
+  },
+
+  select: {
+    requires: ['selector', 'value'],
+    run: async (page, { selector, value }) => {
+      await page.waitForSelector(selector);
+      const values = Array.isArray(value) ? value : [value];
+      await page.select(selector, ...values.map(resolveEnv));
+    }
+  },
+
+  waitForSelector: {
+    requires: ['selector'],
+    run: (page, { selector, visible = false, timeout }) =>
+      page.waitForSelector(selector, { visible, timeout })
+  },
+
+  waitForTimeout: {
+    requires: ['ms'],
+    run: (page, { ms }) => new Promise((resolve) => setTimeout(resolve, ms))
+  },
+
+  evaluate: {
+    requires: ['script'],
+    run: (page, { script }) => page.evaluate(script)
+  }
+};
+
+/**
+ * Validate step definitions
+ * @example
+ * compileSteps([
+ *   { action: 'click', selector: '#accept-cookies', optional: true },
+ *   { action: 'type', selector: '#user', value: '{{env.PORTAL_USER}}', if: '#login' },
+ *   { action: 'type', selector: '#password', value: '{{env.PORTAL_PASSWORD}}', if: '#login' },
+ *   { action: 'click', selector: '#login button', waitForNavigation: true, if: '#login' },
+ *   { action: 'select', selector: '#store', value: 'berlin' }
+ * ]);
+ * @param {Object[]} steps - Step definitions
+ * @returns {Object[]} Validated steps
+ * @throws {Error} When a step is malformed
+ */
+export const compileSteps = (steps) => {
+  if (!Array.isArray(steps)) {
+    throw new Error('"steps" must be a list');
+  }
+
+  return steps.map((step, index) => {
+    const label = step.name || `step #${index + 1}`;
+    const action = actions[step.action];
+
+    if (!action) {
+      throw new Error(
+        `Unknown action "${step.action}" in ${label}. Available: ${Object.keys(actions).join(', ')}`
+      );
+    }
+    for (const field of action.requires) {
+      if (step[field] === undefined) {
+        throw new Error(`${label} (${step.action}) needs "${field}"`);
+      }
+    }
+
+    return { ...step, label };
+  });
+};
+
+/**
+ * Run steps on a loaded page, in order
+ *
+ * A step with `if` only runs when that selector is on the page, which keeps
+ * login steps from running while a restored session is still logged in.
+ * A failing step with `optional: true` is logged and skipped, any other
+ * failure aborts the check.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {Object[]} steps - Steps returned by compileSteps
+ * @param {Object} log - Monitor logger
+ * @throws {Error} When a required step fails
+ */
+export const runSteps = async (page, steps, log) => {
+  for (const step of steps) {
+    if (step.if && !(await page.$(step.if))) {
+      log.debug(
+        `Skipping ${step.label} (${step.action}), ${step.if} not found`
+      );
+      continue;
+    }
+
+    try {
+      // Values may contain credentials, so only the action is logged
+      log.debug(`Running ${step.label} (${step.action})`);
+      await actions[step.action].run(page, step);
+    } catch (error) {
+      if (!step.optional) {
+        throw new Error(
+          `${step.label} (${step.action}) failed: ${error.message}`
+        );
+      }
+      log.debug(`Optional ${step.label} failed: ${error.message}`);
+    }
+  }
+};
@@ -0,0 +1,231 @@
+/**
+ * Resource types Puppeteer reports for requests
+ * @type {string[]}
+ */
+const RESOURCE_TYPES = [
+  'document',
+  'stylesheet',
+  'image',
+  'media',
+  'font',
+  'script',
+  'texttrack',
+  'xhr',
+  'fetch',
+  'prefetch',
+  'eventsource',
+  'websocket',
+  'manifest',
+  'signedexchange',
+  'ping',
+  'cspviolationreport',
+  'preflight',
+  'other'
+];
+
+/**
+ * Domains of common analytics, tag manager, session recording and ad services
+ * @type {string[]}
+ */
+export const TRACKER_DOMAINS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googletagservices.com',
+  'googlesyndication.com',
+  'googleadservices.com',
+  'doubleclick.net',
+  'adservice.google.com',
+  'connect.facebook.net',
+  'analytics.tiktok.com',
+  'ads-twitter.com',
+  'bat.bing.com',
+  'clarity.ms',
+  'hotjar.com',
+  'fullstory.com',
+  'mouseflow.com',
+  'segment.io',
+  'cdn.segment.com',
+  'mixpanel.com',
+  'amplitude.com',
+  'heap.io',
+  'nr-data.net',
+  'scorecardresearch.com',
+  'quantserve.com',
+  'adnxs.com',
+  'criteo.com',
+  'criteo.net',
+  'taboola.com',
+  'outbrain.com',
+  'amazon-adsystem.com',
+  'pubmatic.com',
+  'rubiconproject.com',
+  'moatads.com'
+];
+
+/**
+ * Whether a host is a domain or one of its subdomains
+ * @param {string} host - Request host name
+ * @param {string[]} domains - Domains
+ * @returns {boolean} Whether the host belongs to one of the domains
+ */
+const matchesDomain = (host, domains) =>
+  domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+
+/**
+ * Validate blocking options
+ * @example
+ * compileBlocking({
+ *   resourceTypes: ['image', 'font', 'media'],
+ *   domains: ['cdn.chat-widget.example'],
+ *   trackers: true
+ * });
+ * @param {Object} options - Blocking options
+ * @param {string[]} [options.resourceTypes] - Resource types to block, e.g. image, font, media
+ * @param {string[]} [options.domains] - Domains to block, subdomains included
+ * @param {string[]} [options.allowDomains] - Only these domains (and the target's
+ *   own) may load, everything else is blocked
+ * @param {boolean} [options.trackers=false] - Block known analytics and ad domains
+ * @returns {Object} Compiled options
+ * @throws {Error} When an option is invalid
+ */
+export const compileBlocking = ({
+  resourceTypes = [],
+  domains = [],
+  allowDomains = null,
+  trackers = false
+}) => {
+  for (const [name, list] of Object.entries({ resourceTypes, domains })) {
+    if (!Array.isArray(list)) {
+      throw new Error(`"block.${name}" must be a list`);
+    }
+  }
+  if (allowDomains !== null && !Array.isArray(allowDomains)) {
+    throw new Error('"block.allowDomains" must be a list');
+  }
+
+  const unknown = resourceTypes.filter(
+    (type) => !RESOURCE_TYPES.includes(type)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown resource type "${unknown[0]}". Available: ${RESOURCE_TYPES.join(', ')}`
+    );
+  }
+
+  return {
+    resourceTypes,
+    domains: [...domains, ...(trackers ? TRACKER_DOMAINS : [])],
+    allowDomains
+  };
+};
+
+/**
+ * Decide whether a request is blocked
+ * The page's own navigations always load, so blocking never breaks the check
+ * itself.
+ * @param {Object} blocking - Options from compileBlocking
+ * @param {Object} request - Request details
+ * @param {string} request.url - Request URL
+ * @param {string} request.resourceType - Puppeteer resource type
+ * @param {boolean} request.isPageNavigation - Navigation of the main frame
+ * @param {string} request.pageHost - Host of the monitored URL
+ * @returns {string|null} Why it is blocked, or null to let it through
+ */
+export const blockReason = (
+  blocking,
+  { url, resourceType, isPageNavigation, pageHost }
+) => {
+  if (isPageNavigation || !/^https?:/.test(url)) {
+    return null;
+  }
+
+  const { hostname } = new URL(url);
+  if (blocking.resourceTypes.includes(resourceType)) {
+    return `type ${resourceType}`;
+  }
+  if (matchesDomain(hostname, blocking.domains)) {
+    return 'blocked domain';
+  }
+  if (
+    blocking.allowDomains &&
+    !matchesDomain(hostname, [pageHost, ...blocking.allowDomains])
+  ) {
+    return 'not an allowed domain';
+  }
+  return null;
+};
+
+/**
+ * Count the requests of a page and block the unwanted ones
+ * Call before navigating, then `stop()` once the content is extracted; with
+ * blocking, later requests keep being filtered until the page is closed.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {Object|null} blocking - Options from compileBlocking, null to only count
+ * @param {string} pageUrl - Monitored URL
+ * @param {Object} log - Monitor logger
+ * @returns {Promise<{stop: Function}>} `stop()` stops listening and resolves
+ *   to `{ requests, blocked, bytes }`: requests made, requests blocked and
+ *   bytes transferred (null when the browser does not report sizes)
+ */
+export const startRequestTracking = async (page, blocking, pageUrl, log) => {
+  const stats = { requests: 0, blocked: 0, bytes: 0 };
+  const pageHost = new URL(pageUrl).hostname;
+  let counting = true;
+
+  const onRequest = (request) => {
+    const reason = blocking
+      ? blockReason(blocking, {
+          url: request.url(),
+          resourceType: request.resourceType(),
+          isPageNavigation:
+            request.isNavigationRequest() &&
+            request.frame() === page.mainFrame(),
+          pageHost
+        })
+      : null;
+
+    if (counting) {
+      stats[reason ? 'blocked' : 'requests'] += 1;
+    }
+    if (reason) {
+      log.trace(`Blocked ${request.url()} (${reason})`);
+    }
+
+    if (!blocking || request.isInterceptResolutionHandled()) {
+      return;
+    }
+    (reason ? request.abort('blockedbyclient') : request.continue()).catch(
+      (error) => log.trace(`Request already handled: ${error.message}`)
+    );
+  };
+
+  if (blocking) {
+    await page.setRequestInterception(true);
+  }
+  page.on('request', onRequest);
+
+  // Transfer sizes are only reported over the DevTools protocol
+  let client = null;
+  try {
+    client = await page.createCDPSession();
+    await client.send('Network.enable');
+    client.on('Network.loadingFinished', ({ encodedDataLength }) => {
+      stats.bytes += encodedDataLength;
+    });
+  } catch (error) {
+    log.debug('Transfer sizes unavailable', { error });
+    stats.bytes = null;
+  }
+
+  return {
+    stop: async () => {
+      counting = false;
+      // Intercepted requests still need an answer, so blocking pages keep it
+      if (!blocking) {
+        page.off('request', onRequest);
+      }
+      await client?.detach().catch(() => {});
+      return { ...stats };
+    }
+  };
+};
@@ -0,0 +1,245 @@
+import { fingerprint } from './extractors.js';
+
+/**
+ * Turn a URL pattern into a matcher
+ * `/regex/flags` is a regular expression, a pattern with `*` a wildcard
+ * match against the whole URL, anything else a substring.
+ * @param {string} pattern - URL pattern
+ * @returns {Function} `(url) => boolean`
+ * @throws {Error} When the regular expression is invalid
+ */
+const compileUrlPattern = (pattern) => {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    const compiled = new RegExp(regex[1], regex[2]);
+    return (url) => compiled.test(url);
+  }
+
+  if (pattern.includes('*')) {
+    const compiled = new RegExp(
+      `^${pattern
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*')}$`
+    );
+    return (url) => compiled.test(url);
+  }
+
+  return (url) => url.includes(pattern);
+};
+
+/**
+ * Parse a JSONPath or dot-path expression
+ *
+ * Supports `$`, `.key`, `['key']`, `[0]`, `*` / `[*]` and recursive `..key`.
+ * Paths without a leading `$` are dot-paths such as `data.items.0.price`.
+ *
+ * @param {string} expression - Path expression
+ * @returns {Array<{type: string, key?: string}>} Tokens
+ * @throws {Error} When the expression cannot be parsed
+ */
+export const parsePath = (expression) => {
+  let rest = expression.trim();
+  rest = rest.startsWith('$') ? rest.slice(1) : rest && `.${rest}`;
+
+  const tokens = [];
+  const token =
+    /^(?:\.\.([\w$-]+|\*)|\.([\w$-]+|\*)|\[(?:(\d+)|(\*)|'([^']*)'|"([^"]*)")\])/;
+
+  while (rest) {
+    const match = rest.match(token);
+    if (!match) {
+      throw new Error(`Invalid path "${expression}" near "${rest}"`);
+    }
+    const [, descend, child, index, star, single, double] = match;
+    if (descend !== undefined) {
+      tokens.push({ type: 'descend', key: descend });
+    } else if (child === '*' || star !== undefined) {
+      tokens.push({ type: 'wildcard' });
+    } else {
+      tokens.push({ type: 'key', key: child ?? index ?? single ?? double });
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  return tokens;
+};
+
+/**
+ * Every value below a node, the node itself first
+ * @param {any} node - JSON value
+ * @returns {any[]} Descendants
+ */
+const descendants = (node) =>
+  node && typeof node === 'object'
+    ? [node, ...Object.values(node).flatMap(descendants)]
+    : [node];
+
+/**
+ * Evaluate a parsed path against JSON data
+ * @param {any} data - Parsed JSON
+ * @param {Array<Object>} tokens - Tokens from parsePath
+ * @returns {{found: boolean, value: any}} The value, or an array of values when
+ *   the path contains a wildcard or recursive step
+ */
+export const evaluatePath = (data, tokens) => {
+  let nodes = [data];
+  let multiple = false;
+
+  for (const token of tokens) {
+    if (token.type === 'key') {
+      nodes = nodes
+        .filter((node) => node && typeof node === 'object')
+        .filter((node) => Object.hasOwn(node, token.key))
+        .map((node) => node[token.key]);
+    } else if (token.type === 'wildcard') {
+      multiple = true;
+      nodes = nodes
+        .filter((node) => node && typeof node === 'object')
+        .flatMap((node) => Object.values(node));
+    } else {
+      multiple = true;
+      nodes = nodes
+        .flatMap(descendants)
+        .filter((node) => node && typeof node === 'object')
+        .flatMap((node) =>
+          token.key === '*'
+            ? Object.values(node)
+            : Object.hasOwn(node, token.key)
+              ? [node[token.key]]
+              : []
+        );
+    }
+  }
+
+  if (multiple) {
+    return { found: true, value: nodes };
+  }
+  return { found: nodes.length > 0, value: nodes[0] };
+};
+
+/**
+ * Validate and compile a response capture configuration
+ * @param {Object} options - Capture options
+ * @param {string} options.url - URL pattern: substring, `*` wildcard or `/regex/`
+ * @param {string} [options.path='$'] - JSONPath or dot-path of the monitored value
+ * @param {string} [options.method] - Only responses to this HTTP method
+ * @param {string} [options.pick='last'] - With several matching responses, use the
+ *   'first', the 'last', or 'all' of them (an array of values)
+ * @param {number} [options.timeout=10000] - Milliseconds to wait for a matching
+ *   response after the page has loaded
+ * @returns {Object} Compiled capture
+ * @throws {Error} When an option is invalid
+ */
+export const compileCapture = ({
+  url,
+  path = '$',
+  method,
+  pick = 'last',
+  timeout = 10000
+}) => {
+  if (typeof url !== 'string' || !url) {
+    throw new Error('Response capture needs a `url` pattern');
+  }
+  if (!['first', 'last', 'all'].includes(pick)) {
+    throw new Error(
+      `Invalid capture pick "${pick}". Available: first, last, all`
+    );
+  }
+
+  return {
+    url,
+    path,
+    matchesUrl: compileUrlPattern(url),
+    tokens: parsePath(path),
+    method: method?.toUpperCase(),
+    pick,
+    timeout
+  };
+};
+
+/**
+ * Start collecting the JSON bodies of matching responses
+ * Call before navigating, then `collect()` once the page is ready.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {Object} capture - Capture from compileCapture
+ * @param {Object} log - Monitor logger
+ * @returns {{collect: Function}} `collect()` stops listening and resolves to
+ *   the parsed bodies in arrival order, waiting for a first match when none
+ *   has arrived yet
+ */
+export const startCapture = (page, capture, log) => {
+  const bodies = [];
+  let notifyFirst;
+  const first = new Promise((resolve) => {
+    notifyFirst = resolve;
+  });
+
+  const onResponse = (response) => {
+    const request = response.request();
+    if (
+      !capture.matchesUrl(response.url()) ||
+      (capture.method && request.method() !== capture.method)
+    ) {
+      return;
+    }
+
+    const body = response
+      .text()
+      .then((text) => JSON.parse(text))
+      .catch((error) => {
+        log.debug(`Ignoring captured response ${response.url()}`, { error });
+        return undefined;
+      });
+    bodies.push(body);
+    notifyFirst();
+    log.debug(`Captured response ${response.status()} ${response.url()}`);
+  };
+
+  page.on('response', onResponse);
+
+  return {
+    collect: async () => {
+      let timer;
+      await Promise.race([
+        first,
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, bodies.length ? 0 : capture.timeout);
+        })
+      ]);
+      clearTimeout(timer);
+      page.off('response', onResponse);
+
+      const parsed = await Promise.all(bodies);
+      return parsed.filter((body) => body !== undefined);
+    }
+  };
+};
+
+/**
+ * Extract the monitored value from captured response bodies
+ * @param {Object} capture - Capture from compileCapture
+ * @param {any[]} bodies - Parsed JSON bodies, in arrival order
+ * @returns {{fingerprint: string, value: any}} Fingerprint and readable value
+ * @throws {Error} When no response matched or the path matched nothing
+ */
+export const extractFromResponses = (capture, bodies) => {
+  if (bodies.length === 0) {
+    throw new Error(`No JSON response matched ${capture.url}`);
+  }
+
+  const selected =
+    capture.pick === 'all'
+      ? bodies
+      : [capture.pick === 'first' ? bodies[0] : bodies[bodies.length - 1]];
+  const values = selected.map((body) => {
+    const { found, value } = evaluatePath(body, capture.tokens);
+    if (!found) {
+      throw new Error(`Path ${capture.path} not found in ${capture.url}`);
+    }
+    return value;
+  });
+  const value = capture.pick === 'all' ? values : values[0];
+
+  return { fingerprint: fingerprint(value), value };
+};
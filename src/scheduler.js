@@ -0,0 +1,370 @@
+const MINUTE = 60 * 1000;
+
+/**
+ * Allowed ranges of the five cron fields
+ * @type {Array<{name: string, min: number, max: number}>}
+ */
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 }
+];
+
+/**
+ * Parse one cron field such as `*`, `5`, `1-5`, `*\/15` or `0,30`
+ * @param {string} field - Field expression
+ * @param {{name: string, min: number, max: number}} range - Allowed range
+ * @returns {Set<number>} Matching values
+ * @throws {Error} When the field is malformed or out of range
+ */
+const parseCronField = (field, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: "${field}"`);
+    }
+
+    const [, all, from, to, step] = match;
+    let start = min;
+    let end = max;
+
+    // `5` is a single value, `5-10` a range and `5/15` runs from 5 to the max
+    if (all !== '*') {
+      start = Number(from);
+      end = to !== undefined ? Number(to) : step ? max : start;
+    }
+
+    const increment = step ? Number(step) : 1;
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new Error(`Cron ${name} field out of range: "${field}"`);
+    }
+    for (let value = start; value <= end; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a five-field cron expression (minute hour day month weekday)
+ * @param {string} expression - Cron expression, e.g. `*\/15 8-18 * * 1-5`
+ * @returns {Object} Parsed cron with a set of values per field
+ * @throws {Error} When the expression is malformed
+ */
+export const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(
+      `Cron expression needs 5 fields (minute hour day month weekday): "${expression}"`
+    );
+  }
+
+  const cron = Object.fromEntries(
+    CRON_FIELDS.map((range, i) => [range.name, parseCronField(parts[i], range)])
+  );
+
+  // Sunday may be written as 0 or 7
+  if (cron.weekday.has(7)) {
+    cron.weekday.add(0);
+  }
+  cron.anyDay = parts[2] === '*';
+  cron.anyWeekday = parts[4] === '*';
+
+  return cron;
+};
+
+const formatters = new Map();
+
+/**
+ * Get the wall-clock parts of a timestamp in a time zone
+ * @param {number} time - Timestamp in milliseconds
+ * @param {string} [timeZone] - IANA time zone, defaults to the process time zone
+ * @returns {{month: number, day: number, hour: number, minute: number, weekday: number}}
+ */
+const zonedParts = (time, timeZone) => {
+  const key = timeZone || 'local';
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+      })
+    );
+  }
+
+  const parts = Object.fromEntries(
+    formatters
+      .get(key)
+      .formatToParts(time)
+      .map(({ type, value }) => [type, value])
+  );
+
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(
+      parts.weekday
+    )
+  };
+};
+
+/**
+ * Whether a day matches the cron day and weekday fields
+ * Like standard cron, when both are restricted either one may match
+ * @param {Object} cron - Parsed cron
+ * @param {Object} parts - Zoned date parts
+ * @returns {boolean} Whether the day matches
+ */
+const matchesDay = (cron, { day, weekday }) => {
+  if (cron.anyDay || cron.anyWeekday) {
+    return cron.day.has(day) && cron.weekday.has(weekday);
+  }
+  return cron.day.has(day) || cron.weekday.has(weekday);
+};
+
+/**
+ * Find the next time after `after` that matches a cron expression
+ * @param {Object} cron - Parsed cron
+ * @param {number} after - Timestamp in milliseconds
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {number} Matching timestamp in milliseconds
+ * @throws {Error} When nothing matches within eight years
+ */
+export const nextCronTime = (cron, after, timeZone) => {
+  let time = Math.floor(after / MINUTE) * MINUTE + MINUTE;
+  // Long enough for February 29 across a skipped leap year such as 2100
+  const limit = time + 8 * 366 * 24 * 60 * MINUTE;
+
+  while (time < limit) {
+    const parts = zonedParts(time, timeZone);
+
+    if (!cron.month.has(parts.month) || !matchesDay(cron, parts)) {
+      time += (24 * 60 - parts.hour * 60 - parts.minute) * MINUTE;
+    } else if (!cron.hour.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE;
+    } else if (!cron.minute.has(parts.minute)) {
+      time += MINUTE;
+    } else {
+      return time;
+    }
+  }
+
+  throw new Error('Cron expression never matches');
+};
+
+/**
+ * Convert `HH:MM` to minutes since midnight
+ * @param {string} value - Time of day
+ * @returns {number} Minutes since midnight
+ * @throws {Error} When the value is not a valid time
+ */
+const parseTimeOfDay = (value) => {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time of day "${value}", expected HH:MM`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Whether a minute of the day falls in a range, which may wrap past midnight
+ * @param {number} minute - Minutes since midnight
+ * @param {{start: number, end: number}} range - Range in minutes since midnight
+ * @returns {boolean} Whether the minute is in the range
+ */
+const inRange = (minute, { start, end }) =>
+  start <= end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+
+/**
+ * Schedules a recurring task without ever overlapping runs
+ *
+ * The next run is planned only after the previous one finished. Supports a
+ * fixed interval or a cron expression, random jitter, quiet or active hours in
+ * a time zone, and exponential backoff while the task keeps failing.
+ */
+export class Scheduler {
+  /**
+   * Create a new Scheduler instance
+   * @param {Function} task - Async task; a result with `outcome: 'error'` counts as a failure
+   * @param {Object} options - Schedule options
+   * @param {number} options.checkInterval - Interval in milliseconds, used without `cron`
+   * @param {string} [options.cron] - Cron expression (minute hour day month weekday)
+   * @param {string} [options.timezone] - IANA time zone for cron and quiet/active hours
+   * @param {number} [options.jitter=0] - Random delay of up to this many milliseconds
+   * @param {{start: string, end: string}} [options.quietHours] - Never run between these times (HH:MM)
+   * @param {{start: string, end: string}} [options.activeHours] - Only run between these times (HH:MM)
+   * @param {Object} [options.backoff] - Backoff while failing
+   * @param {number} [options.backoff.factor=2] - Delay multiplier per consecutive failure
+   * @param {number} [options.backoff.max=3600000] - Maximum backoff delay in milliseconds
+   */
+  constructor(task, options) {
+    this.task = task;
+    this.options = {
+      jitter: 0,
+      ...options,
+      backoff: { factor: 2, max: 60 * MINUTE, ...options.backoff }
+    };
+
+    this.cron = options.cron ? parseCron(options.cron) : null;
+    if (this.cron) {
+      // Fail now rather than in a timer, e.g. for `0 0 31 2 *`
+      nextCronTime(this.cron, Date.now(), options.timezone);
+    }
+    this.quietHours = options.quietHours && {
+      start: parseTimeOfDay(options.quietHours.start),
+      end: parseTimeOfDay(options.quietHours.end)
+    };
+    this.activeHours = options.activeHours && {
+      start: parseTimeOfDay(options.activeHours.start),
+      end: parseTimeOfDay(options.activeHours.end)
+    };
+
+    if (options.timezone) {
+      // Throws a RangeError for unknown time zones
+      zonedParts(Date.now(), options.timezone);
+    }
+
+    this.timer = null;
+    this.running = false;
+    this.nextRunAt = null;
+    this.failures = 0;
+  }
+
+  /**
+   * Whether a time falls outside the allowed hours
+   * @param {number} time - Timestamp in milliseconds
+   * @returns {boolean} Whether runs are not allowed at this time
+   */
+  isQuiet(time) {
+    if (!this.quietHours && !this.activeHours) {
+      return false;
+    }
+
+    const { hour, minute } = zonedParts(time, this.options.timezone);
+    const minuteOfDay = hour * 60 + minute;
+
+    return (
+      (this.quietHours && inRange(minuteOfDay, this.quietHours)) ||
+      (this.activeHours && !inRange(minuteOfDay, this.activeHours))
+    );
+  }
+
+  /**
+   * Backoff delay for the current number of consecutive failures
+   * @returns {number} Delay in milliseconds, 0 when not failing
+   */
+  backoffDelay() {
+    if (this.failures === 0) {
+      return 0;
+    }
+    const { factor, max } = this.options.backoff;
+    const base = this.options.checkInterval || MINUTE;
+    return Math.min(max, base * factor ** (this.failures - 1));
+  }
+
+  /**
+   * Compute the next run time
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {number} Next run timestamp in milliseconds
+   */
+  computeNextRun(now = Date.now()) {
+    const jitter = () => Math.floor(Math.random() * this.options.jitter);
+    const earliest = now + this.backoffDelay();
+    // Jitter comes first, so quiet hours also apply to the delayed time
+    let time =
+      (this.cron
+        ? nextCronTime(this.cron, earliest - 1, this.options.timezone)
+        : Math.max(now + this.options.checkInterval, earliest)) + jitter();
+
+    // Move out of quiet hours, to the next cron tick when using cron
+    for (let i = 0; i < 7 * 24 * 60 && this.isQuiet(time); i++) {
+      time = this.cron
+        ? nextCronTime(this.cron, time, this.options.timezone) + jitter()
+        : time + MINUTE;
+    }
+
+    return time;
+  }
+
+  /**
+   * Start scheduling
+   * @param {Object} [options] - Start options
+   * @param {boolean} [options.runNow=true] - Run immediately unless in quiet hours
+   * @returns {Promise<void>} Resolves after the immediate run, if any
+   */
+  async start({ runNow = true } = {}) {
+    this.running = true;
+
+    if (runNow && !this.isQuiet(Date.now())) {
+      await this.run();
+    } else {
+      this.scheduleNext();
+    }
+  }
+
+  /**
+   * Run the task once and plan the next run when it finishes
+   * @returns {Promise<void>}
+   */
+  async run() {
+    this.nextRunAt = null;
+
+    try {
+      const result = await this.task();
+      this.failures = result?.outcome === 'error' ? this.failures + 1 : 0;
+    } catch {
+      this.failures += 1;
+    }
+
+    this.scheduleNext();
+  }
+
+  /**
+   * Plan the next run
+   * @param {number} [at] - Run timestamp, computed from the schedule by default
+   */
+  scheduleNext(at = this.computeNextRun()) {
+    if (!this.running) {
+      return;
+    }
+
+    this.nextRunAt = at;
+    // setTimeout overflows above ~24.8 days, so wait in chunks
+    const delay = Math.min(Math.max(at - Date.now(), 0), 2 ** 31 - 1);
+
+    this.timer = setTimeout(() => {
+      if (Date.now() >= at) {
+        this.run();
+      } else {
+        this.scheduleNext(at);
+      }
+    }, delay);
+  }
+
+  /**
+   * Stop scheduling, a run in progress finishes but is not followed by another
+   */
+  stop() {
+    this.running = false;
+    this.nextRunAt = null;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
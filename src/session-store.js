@@ -0,0 +1,94 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Read a JSON file, treating a missing or corrupt file as empty
+ * @param {string} file - File path
+ * @param {any} fallback - Value returned when the file cannot be read
+ * @returns {Promise<any>} Parsed contents
+ */
+const readJson = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Persists a target's browser session between checks
+ *
+ * Cookies of the page's browser context and the localStorage of every
+ * visited origin are stored in a per-target directory, so logins and
+ * consent choices survive across checks and restarts.
+ */
+export class SessionStore {
+  /**
+   * Create a new SessionStore instance
+   * @param {string} dir - Session directory
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.cookiesFile = path.join(dir, 'cookies.json');
+    this.storageFile = path.join(dir, 'local-storage.json');
+  }
+
+  /**
+   * Restore the saved session into a fresh page before it navigates
+   * @param {import('puppeteer').Page} page - Puppeteer page in its own browser context
+   */
+  async restore(page) {
+    const cookies = await readJson(this.cookiesFile, []);
+    const storage = await readJson(this.storageFile, {});
+
+    if (cookies.length > 0) {
+      await page.browserContext().setCookie(...cookies);
+    }
+
+    // Only fill in missing keys, so values written during this check win
+    await page.evaluateOnNewDocument((saved) => {
+      const items = saved[location.origin];
+      if (!items) {
+        return;
+      }
+      for (const [key, value] of Object.entries(items)) {
+        if (localStorage.getItem(key) === null) {
+          localStorage.setItem(key, value);
+        }
+      }
+    }, storage);
+  }
+
+  /**
+   * Save the session after a successful check
+   * @param {import('puppeteer').Page} page - Puppeteer page
+   */
+  async save(page) {
+    const cookies = await page.browserContext().cookies();
+    const storage = await readJson(this.storageFile, {});
+    const { origin, items } = await page.evaluate(() => ({
+      origin: location.origin,
+      items: Object.fromEntries(Object.entries(localStorage))
+    }));
+
+    if (origin && origin !== 'null') {
+      storage[origin] = items;
+    }
+
+    // Sessions hold login tokens, keep them private
+    await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    await fs.writeFile(this.cookiesFile, JSON.stringify(cookies, null, 2), {
+      mode: 0o600
+    });
+    await fs.writeFile(this.storageFile, JSON.stringify(storage, null, 2), {
+      mode: 0o600
+    });
+  }
+
+  /**
+   * Forget the saved session
+   */
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+}
@@ -1,4 +1,5 @@
 import { STEALTH_HEADERS } from './config.js';
+import { defaultLogger } from './logger.js';
 
 /**
  * Apply modern stealth techniques to avoid detection
@@ -52,8 +53,9 @@ export const applyStealthTechniques = async (page) => {
 /**
  * Wait for lazy-loaded content by scrolling through the page
  * @param {Page} page - Puppeteer page instance
+ * @param {Object} [log] - Logger, see Logger
  */
-export const waitForLazyContent = async (page) => {
+export const waitForLazyContent = async (page, log = defaultLogger) => {
   try {
     // Scroll to trigger lazy loading
     await page.evaluate(() => {
@@ -88,7 +90,7 @@ export const waitForLazyContent = async (page) => {
       .catch(() => {});
   } catch (error) {
     // Non-critical error, continue
-    console.log('Lazy content loading skipped');
+    log.debug('Lazy content loading skipped', { error });
   }
 };
 
@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import YAML from 'yaml';
+
+/**
+ * Options a target may set, the WebPageMonitor options that make sense per
+ * target plus its notifier settings
+ * @type {string[]}
+ */
+const TARGET_OPTIONS = [
+  'id',
+  'url',
+  'selector',
+  'extract',
+  'list',
+  'capture',
+  'mode',
+  'checkInterval',
+  'schedule',
+  'maxRetries',
+  'retryDelay',
+  'timeout',
+  'userAgent',
+  'steps',
+  'session',
+  'sessionDir',
+  'ignore',
+  'normalize',
+  'availability',
+  'block',
+  'rules',
+  'alertPolicy',
+  'alertWebhook',
+  'screenshot',
+  'screenshotDir',
+  'stateFile',
+  'historyFile',
+  'historyMaxEntries',
+  'historyMaxAge',
+  'notify',
+  'notifiers'
+];
+
+/**
+ * Parse the raw contents of a targets file
+ * @param {string} content - File contents
+ * @param {string} filePath - Path of the file, used to pick the parser
+ * @returns {Object|Array} Parsed document
+ */
+const parseTargetsFile = (content, filePath) => {
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.json' ? JSON.parse(content) : YAML.parse(content);
+};
+
+/**
+ * Derive a stable id for a target without an explicit one
+ * @param {Object} target - Target definition
+ * @returns {string} Short hash of the target URL and selector
+ */
+const deriveTargetId = (target) =>
+  crypto
+    .createHash('md5')
+    .update(`${target.url}|${target.selector || 'body'}`)
+    .digest('hex')
+    .substring(0, 8);
+
+/**
+ * Load monitoring targets and notifier definitions from a JSON or YAML file
+ *
+ * The file is either a list of targets or an object with a `targets` list,
+ * optional `defaults` applied to every target and optional `notifiers`. Each
+ * target accepts the same options as the WebPageMonitor constructor plus a
+ * `notify` block with per-target notifier settings and an optional
+ * `notifiers` list naming the channels that fire for it.
+ *
+ * @example
+ * defaults:
+ *   checkInterval: 600000
+ * notifiers:
+ *   - name: team-slack
+ *     type: slack
+ *     url: https://hooks.slack.com/services/...
+ *     types: [change]
+ * targets:
+ *   - id: stock
+ *     url: https://example.com/product
+ *     selector: .in-stock
+ *     notify:
+ *       email: me@example.com
+ *       accessory: abc123
+ *
+ * @param {string} filePath - Path to the targets file
+ * @returns {Promise<{targets: Object[], notifiers: Object[]|null}>} Normalized
+ *   targets, and notifier definitions or null when the file declares none
+ * @throws {Error} When the file is unreadable or a target is invalid
+ */
+export const loadTargetsFile = async (filePath) => {
+  const content = await fs.readFile(filePath, 'utf8');
+  const doc = parseTargetsFile(content, filePath) || {};
+  const list = Array.isArray(doc) ? doc : doc.targets;
+  const defaults = Array.isArray(doc) ? {} : doc.defaults || {};
+  const notifiers = Array.isArray(doc) ? null : doc.notifiers || null;
+
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`No targets defined in ${filePath}`);
+  }
+  if (notifiers && !Array.isArray(notifiers)) {
+    throw new Error(`"notifiers" in ${filePath} must be a list`);
+  }
+
+  const seen = new Set();
+
+  const targets = list.map((entry, index) => {
+    const target = { ...defaults, ...entry };
+
+    if (!target.url) {
+      throw new Error(`Target #${index + 1} in ${filePath} is missing "url"`);
+    }
+    const unknown = Object.keys(target).find(
+      (key) => !TARGET_OPTIONS.includes(key)
+    );
+    if (unknown) {
+      throw new Error(
+        `Unknown option "${unknown}" in target #${index + 1} in ${filePath}`
+      );
+    }
+
+    target.id = String(target.id || deriveTargetId(target));
+
+    if (seen.has(target.id)) {
+      throw new Error(`Duplicate target id "${target.id}" in ${filePath}`);
+    }
+    seen.add(target.id);
+
+    return target;
+  });
+
+  return { targets, notifiers };
+};
+
+/**
+ * Load monitoring targets from a JSON or YAML file
+ * @param {string} filePath - Path to the targets file
+ * @returns {Promise<Object[]>} Normalized target configurations
+ * @throws {Error} When the file is unreadable or a target is invalid
+ */
+export const loadTargets = async (filePath) =>
+  (await loadTargetsFile(filePath)).targets;
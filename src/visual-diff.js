@@ -0,0 +1,78 @@
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+/**
+ * Take a PNG screenshot of the page or of the monitored element
+ * Falls back to the viewport when the selector matches nothing
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {Object} options - Screenshot options
+ * @param {string} [options.mode='page'] - 'page' or 'selector'
+ * @param {string} [options.selector] - Element to capture in selector mode
+ * @param {boolean} [options.fullPage=false] - Capture the full scrollable page
+ * @returns {Promise<Buffer>} PNG image data
+ */
+export const captureScreenshot = async (
+  page,
+  { mode = 'page', selector, fullPage = false }
+) => {
+  if (mode === 'selector' && selector) {
+    const element = await page.$(selector);
+    if (element) {
+      return Buffer.from(await element.screenshot({ type: 'png' }));
+    }
+  }
+
+  return Buffer.from(await page.screenshot({ type: 'png', fullPage }));
+};
+
+/**
+ * Copy an image onto a transparent canvas of the given size
+ * @param {PNG} image - Source image
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {PNG} Padded image
+ */
+const padImage = (image, width, height) => {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+
+  const padded = new PNG({ width, height });
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+};
+
+/**
+ * Compare two screenshots pixel by pixel
+ * Images of different sizes are padded, so grown areas count as changed
+ * @param {Buffer} before - Previous PNG image
+ * @param {Buffer} after - Current PNG image
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.threshold=0.1] - Per-pixel color sensitivity (0-1)
+ * @returns {{diff: Buffer, changedPixels: number, totalPixels: number, percentage: number}}
+ *   Diff image with changed pixels highlighted, and change statistics
+ */
+export const compareScreenshots = (before, after, { threshold = 0.1 } = {}) => {
+  const imgBefore = PNG.sync.read(before);
+  const imgAfter = PNG.sync.read(after);
+  const width = Math.max(imgBefore.width, imgAfter.width);
+  const height = Math.max(imgBefore.height, imgAfter.height);
+  const output = new PNG({ width, height });
+
+  const changedPixels = pixelmatch(
+    padImage(imgBefore, width, height).data,
+    padImage(imgAfter, width, height).data,
+    output.data,
+    width,
+    height,
+    { threshold }
+  );
+  const totalPixels = width * height;
+
+  return {
+    diff: PNG.sync.write(output),
+    changedPixels,
+    totalPixels,
+    percentage: Math.round((changedPixels / totalPixels) * 10000) / 100
+  };
+};
@@ -1,9 +1,50 @@
-import puppeteer from 'puppeteer';
 import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { DEFAULT_CONFIG, BROWSER_CONFIG } from './config.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { BrowserManager } from './browser-manager.js';
+import {
+  extractContent,
+  extractFromDocument,
+  fingerprint
+} from './extractors.js';
+import { fetchDocument } from './http-fetcher.js';
+import { computeDiff, toSnapshot } from './content-diff.js';
+import { HistoryStore } from './history-store.js';
+import { captureScreenshot, compareScreenshots } from './visual-diff.js';
+import { createWebhookNotifier } from './notifiers/webhook.js';
+import { AlertPolicy } from './alert-policy.js';
+import { compileRules, evaluateRules } from './alert-rules.js';
+import { Scheduler } from './scheduler.js';
+import { compileSteps, runSteps } from './page-steps.js';
+import { SessionStore } from './session-store.js';
+import {
+  compileCapture,
+  startCapture,
+  extractFromResponses
+} from './response-capture.js';
+import {
+  compileListSpec,
+  diffItems,
+  describeItemChanges
+} from './list-items.js';
+import {
+  removeIgnored,
+  compileNormalizers,
+  normalizeExtracted,
+  findVaryingParts
+} from './noise-filter.js';
+import {
+  UnavailableError,
+  compileAvailability,
+  assertResponseOk,
+  assertContentOk,
+  inspectDocument,
+  buildProbe
+} from './availability.js';
+import { compileBlocking, startRequestTracking } from './request-blocker.js';
+import { Logger, withContext } from './logger.js';
 import {
   applyStealthTechniques,
   waitForLazyContent,
@@ -14,6 +55,29 @@ import {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Classify a check failure for metrics
+ * @param {Error} error - Error thrown by the check
+ * @returns {string} timeout, network, http, selector or other
+ */
+const classifyError = (error) => {
+  const message = error?.message || '';
+  // Waiting for a selector fails with a timeout, but the selector is the cause
+  if (/selector|no (elements?|node) |not found|failed to find/i.test(message)) {
+    return 'selector';
+  }
+  if (error?.name === 'TimeoutError' || /timeout|timed out/i.test(message)) {
+    return 'timeout';
+  }
+  if (/net::ERR_|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN/.test(message)) {
+    return 'network';
+  }
+  if (/status code \d{3}|HTTP \d{3}/i.test(message)) {
+    return 'http';
+  }
+  return 'other';
+};
+
 /**
  * Element Count Monitor - Simple SVG path counter
  * Monitors changes in the count of SVG path elements on a webpage
@@ -25,155 +89,659 @@ export class WebPageMonitor {
    * @param {string} config.url - URL to monitor
    * @param {number} [config.checkInterval] - Check interval in milliseconds
    * @param {boolean} [config.headless=true] - Run browser in headless mode
-   * @param {boolean} [config.debug=false] - Enable debug logging
+   * @param {boolean} [config.debug=false] - Enable debug logging when no logger is given
+   * @param {import('./metrics.js').MonitorMetrics} [config.metrics] - Records checks and
+   *   alerts for the metrics endpoint
+   * @param {Object} [config.logger] - Logger with trace..error methods, see Logger; every line
+   *   is tagged with the target id and, during checks, a check id
    * @param {number} [config.maxRetries=3] - Maximum retry attempts
    * @param {string} [config.alertWebhook] - Webhook URL for alerts
    * @param {Function} [config.onAlert] - Alert callback function
-   * @param {Function} [config.getElementHash] - Element hash function
+   * @param {Function} [config.getElementHash] - Custom element hash function, overrides `extract`
    * @param {string} [config.selector='body'] - CSS selector to monitor
+   * @param {string} [config.extract='count'] - Extraction strategy (count, text, innerHTML, attribute:<name>, number, json)
+   * @param {string} [config.id] - Target identifier, used for the state file name
+   * @param {BrowserManager} [config.browserManager] - Shared browser manager
+   * @param {string} [config.historyFile] - Check history file, defaults to one next to the state file
+   * @param {number} [config.historyMaxEntries] - Keep at most this many history records
+   * @param {number} [config.historyMaxAge] - Drop history records older than this many milliseconds
+   * @param {Object} [config.screenshot] - Capture a screenshot on every check
+   * @param {string} [config.screenshot.mode='page'] - 'page' or 'selector' (bounding box of the selector)
+   * @param {boolean} [config.screenshot.fullPage=false] - Capture the full scrollable page in page mode
+   * @param {number} [config.screenshot.threshold] - Visual-threshold mode: only report a change when
+   *   at least this percentage of pixels differs from the baseline
+   * @param {string} [config.screenshotDir] - Screenshot directory, defaults to one next to the history file
+   * @param {Object} [config.alertPolicy] - Cooldown, failure threshold, recovery and flapping
+   *   settings, see DEFAULT_ALERT_POLICY
+   * @param {string} [config.mode='browser'] - 'browser' (Puppeteer), 'http' (plain GET and a server-side
+   *   DOM) or 'auto' (http, falling back to the browser on an HTTP error status or when the selector
+   *   is missing from the static HTML)
+   * @param {Object} [config.schedule] - Cron expression, jitter, quiet/active hours, time zone and
+   *   failure backoff, see Scheduler; without `cron` the check interval is used
+   * @param {Object[]} [config.rules] - Alert only when one of these conditions on the previous and
+   *   current values triggers, e.g. `{ when: 'crossesBelow', value: 100 }`
+   * @param {Object[]} [config.steps] - Page interactions run after loading and before extracting
+   *   (goto, click, type, select, waitForSelector, waitForTimeout, evaluate); values may
+   *   reference environment variables as `{{env.NAME}}`
+   * @param {Object} [config.capture] - Monitor a JSON response the page loads instead of the DOM:
+   *   `{ url, path }` with a URL pattern and a JSONPath/dot-path, see compileCapture
+   * @param {Object} [config.list] - Track a list item by item: `{ item, key, fields }` with the
+   *   item selector and field specs, see compileListSpec; replaces `selector` and `extract`
+   * @param {string|string[]} [config.ignore] - Selectors of noisy elements (timestamps, ads,
+   *   counters) removed from the page before extracting
+   * @param {Array<string|Object>} [config.normalize] - Normalizations applied to the extracted
+   *   text before fingerprinting, e.g. 'collapseWhitespace', see compileNormalizers
+   * @param {Object} [config.availability] - Accepted redirects and error page signatures used to
+   *   tell error, login and CAPTCHA pages from real content, see compileAvailability
+   * @param {Object} [config.block] - Requests the browser skips: `{ resourceTypes, domains,
+   *   allowDomains, trackers }`, see compileBlocking
+   * @param {boolean} [config.session=false] - Keep cookies and localStorage between checks
+   * @param {string} [config.sessionDir] - Session directory, defaults to one next to the history file
    */
   constructor(config = {}) {
-    const url = config.url || process.env.MONITOR_URL;
+    const { url } = config;
 
-    // Generate unique state file name based on URL
+    // Generate unique state file name based on the target id or URL
     const urlHash = crypto
       .createHash('md5')
       .update(url || 'default')
       .digest('hex')
       .substring(0, 8);
-    const defaultStateFile = path.join(__dirname, `../state-${urlHash}.json`);
+    const stateKey = config.id
+      ? String(config.id).replace(/[^\w.-]/g, '_')
+      : urlHash;
+    const defaultStateFile = path.join(__dirname, `../state-${stateKey}.json`);
 
     this.config = {
       ...DEFAULT_CONFIG,
       url,
-      stateFile:
-        config.stateFile || process.env.MONITOR_STATE_FILE || defaultStateFile,
+      stateFile: config.stateFile || defaultStateFile,
       alertWebhook: config.alertWebhook || null,
-      ...config
+      ...config,
+      ...(config.list && compileListSpec(config.list))
     };
 
-    this.browser = null;
+    const stateDir = path.dirname(this.config.stateFile);
+    const stateName = path
+      .basename(this.config.stateFile, '.json')
+      .replace(/^state-/, '');
+
+    if (!this.config.historyFile) {
+      this.config.historyFile = path.join(
+        stateDir,
+        `history-${stateName}.jsonl`
+      );
+    }
+    if (!this.config.screenshotDir) {
+      this.config.screenshotDir = path.join(
+        path.dirname(this.config.historyFile),
+        `screenshots-${stateName}`
+      );
+    }
+    if (!this.config.sessionDir) {
+      this.config.sessionDir = path.join(
+        path.dirname(this.config.historyFile),
+        `session-${stateName}`
+      );
+    }
+
+    this.history = new HistoryStore(this.config.historyFile, {
+      maxEntries: this.config.historyMaxEntries,
+      maxAge: this.config.historyMaxAge
+    });
+
+    // Monitors created without a shared manager own their browser
+    this.ownsBrowser = !config.browserManager;
+    this.browserManager =
+      config.browserManager ||
+      new BrowserManager({
+        headless: this.config.headless,
+        browser: this.config.browser,
+        userAgent: this.config.userAgent
+      });
+
+    this.id = config.id ? String(config.id) : urlHash;
+    this.targetLog = withContext(
+      this.config.logger ||
+        new Logger({ level: this.config.debug ? 'debug' : 'info' }),
+      { target: this.id }
+    );
+    // Replaced by a logger tagged with the check id while a check runs
+    this.log = this.targetLog;
+    this.navigation = null;
+    this.requestStats = null;
+    this.retries = 0;
+    this.metrics = this.config.metrics || null;
+    this.alertPolicy = new AlertPolicy(this.config.alertPolicy);
+    this.rules = this.config.rules
+      ? compileRules(this.config.rules, { list: Boolean(this.config.list) })
+      : null;
+    this.steps = this.config.steps ? compileSteps(this.config.steps) : null;
+    if (this.steps && this.config.mode === 'http') {
+      throw new Error(
+        'Page steps need a browser, use mode "browser" or "auto"'
+      );
+    }
+    this.capture = this.config.capture
+      ? compileCapture(this.config.capture)
+      : null;
+    if (this.capture && this.config.mode === 'http') {
+      throw new Error(
+        'Response capture needs a browser, use mode "browser" or "auto"'
+      );
+    }
+    this.ignore = [].concat(this.config.ignore ?? []);
+    this.availability = compileAvailability(this.config.availability);
+    this.blocking = this.config.block
+      ? compileBlocking(this.config.block)
+      : null;
+    // Captured responses are not in the DOM, so there is no selector to require
+    this.probe = buildProbe(
+      this.availability,
+      this.capture ? null : this.config.selector
+    );
+    this.normalizers = this.config.normalize
+      ? compileNormalizers(this.config.normalize)
+      : null;
+    this.session = this.config.session
+      ? new SessionStore(this.config.sessionDir)
+      : null;
     this.isMonitoring = false;
-    this.monitorInterval = null;
+    this.isPaused = false;
+    this.runningCheck = null;
+    this.scheduler = new Scheduler(() => this.runScheduledCheck(), {
+      checkInterval: this.config.checkInterval,
+      ...this.config.schedule
+    });
+    this.lastCheck = null;
   }
 
   /**
-   * Initialize browser with modern Puppeteer settings
+   * Create a new page with stealth settings
+   * The page comes from the browser manager and must be released through it
    */
-  async initBrowser() {
-    const launchOptions = {
-      // Use new headless mode in Puppeteer v24+
-      headless: this.config.headless,
-      ...BROWSER_CONFIG
-    };
+  async createStealthPage() {
+    // Sessions get their own cookie jar instead of the shared one
+    const page = await this.browserManager.newPage({
+      isolated: Boolean(this.session)
+    });
 
-    // Add user agent for better compatibility
-    if (this.config.userAgent) {
-      launchOptions.args.push(`--user-agent=${this.config.userAgent}`);
-    } else {
-      launchOptions.args.push(`--user-agent=${BROWSER_CONFIG.userAgent}`);
-    }
+    try {
+      // Apply stealth techniques
+      await applyStealthTechniques(page);
 
-    // Use specific browser if configured
-    if (this.config.browser === 'firefox') {
-      launchOptions.product = 'firefox';
-    }
+      // Set default timeout
+      page.setDefaultTimeout(this.config.timeout);
+      page.setDefaultNavigationTimeout(this.config.timeout);
 
-    try {
-      this.browser = await puppeteer.launch(launchOptions);
-      this.log.info('Browser initialized successfully');
+      if (this.session) {
+        await this.session.restore(page);
+      }
     } catch (error) {
-      this.log.error('Failed to initialize browser:', error);
+      await this.browserManager.releasePage(page);
       throw error;
     }
+
+    return page;
   }
 
   /**
-   * Create a new page with stealth settings
+   * Extract the monitored content from a loaded page
+   * @param {import('puppeteer').Page} page - Puppeteer page instance
+   * @param {Object} [capturing] - Response capture started before navigating
+   * @returns {Promise<{fingerprint: string, value: any}>} Fingerprint and readable value
    */
-  async createStealthPage() {
-    if (!this.browser) {
-      await this.initBrowser();
+  async extract(page, capturing = null) {
+    // Custom hash functions return a single comparable value
+    if (this.config.getElementHash) {
+      const hash = await this.config.getElementHash(
+        page,
+        this.config.selector,
+        this.log
+      );
+      return { fingerprint: hash, value: hash };
     }
 
-    const page = await this.browser.newPage();
+    if (capturing) {
+      const extracted = extractFromResponses(
+        this.capture,
+        await capturing.collect()
+      );
+      this.log.debug(
+        `Extracted value (capture ${this.capture.path}): ${JSON.stringify(extracted.value)}`
+      );
+      return extracted;
+    }
 
-    // Apply stealth techniques
-    await applyStealthTechniques(page);
+    const extracted = await extractContent(
+      page,
+      this.config.selector,
+      this.config.extract
+    );
+    this.log.debug(
+      `Extracted value (${this.config.extract}): ${JSON.stringify(extracted.value)}`
+    );
+    return extracted;
+  }
 
-    // Set default timeout
-    page.setDefaultTimeout(this.config.timeout);
-    page.setDefaultNavigationTimeout(this.config.timeout);
+  /**
+   * Build a state object from extracted content
+   * @param {{fingerprint: string, value: any}} extracted - Extracted content
+   * @param {string} mode - How the page was loaded ('http' or 'browser')
+   * @returns {Object} State
+   */
+  buildState(extracted, mode) {
+    // Custom hashes are opaque, only extracted values are normalized
+    const { fingerprint, value } =
+      this.normalizers && !this.config.getElementHash
+        ? normalizeExtracted(extracted, this.normalizers)
+        : extracted;
 
-    return page;
+    return {
+      hash: fingerprint,
+      value,
+      snapshot: toSnapshot(value),
+      extract: this.config.extract,
+      mode,
+      timestamp: new Date().toISOString(),
+      url: this.config.url,
+      selector: this.config.selector
+    };
+  }
+
+  /**
+   * Load the page with a plain HTTP GET and extract from the static HTML
+   * @returns {Promise<Object|null>} State, or null in auto mode when the
+   *   selector is missing and the browser should be used instead
+   */
+  async compareStaticContent() {
+    const startedAt = Date.now();
+    let fetched;
+    try {
+      fetched = await fetchDocument(this.config.url, {
+        timeout: this.config.timeout,
+        userAgent: this.config.userAgent
+      });
+    } catch (error) {
+      // Bot protection often refuses plain clients but lets browsers through
+      if (error.response && this.config.mode === 'auto') {
+        this.log.debug(
+          `HTTP ${error.response.status} for the static page, falling back to browser`
+        );
+        return null;
+      }
+      // Error statuses are an unavailable page, not a failed request
+      if (error.response) {
+        throw new UnavailableError(
+          'http-error',
+          `HTTP ${error.response.status}`
+        );
+      }
+      throw error;
+    }
+    const { document, status, finalUrl } = fetched;
+    this.navigation = {
+      mode: 'http',
+      status,
+      durationMs: Date.now() - startedAt
+    };
+    this.log.debug('Page fetched', this.navigation);
+    assertResponseOk(this.availability, {
+      status,
+      requestedUrl: this.config.url,
+      finalUrl
+    });
+
+    if (this.ignore.length > 0) {
+      const removed = removeIgnored(this.ignore, document);
+      this.log.debug(`Removed ${removed} ignored element(s)`);
+    }
+
+    if (
+      this.config.mode === 'auto' &&
+      !document.querySelector(this.config.selector)
+    ) {
+      this.log.debug('Selector not in static HTML, falling back to browser');
+      return null;
+    }
+    assertContentOk(this.availability, inspectDocument(this.probe, document));
+
+    const extracted = extractFromDocument(
+      document,
+      this.config.selector,
+      this.config.extract
+    );
+    this.log.debug(
+      `Extracted value (${this.config.extract}, http): ${JSON.stringify(extracted.value)}`
+    );
+    return this.buildState(extracted, 'http');
   }
 
   /**
-   * Compare content via element counts
+   * Compare content via the configured extraction strategy
+   * Failed loads are retried up to `maxRetries` times with a growing delay.
    */
-  async compareContent(retryCount = 0) {
+  async compareContent() {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this.loadContent();
+      } catch (error) {
+        this.log.warn(`Attempt ${attempt} failed`, { error });
+
+        // Error, login and CAPTCHA pages won't go away by loading them again
+        if (
+          error instanceof UnavailableError ||
+          attempt > this.config.maxRetries
+        ) {
+          throw error;
+        }
+        // The failed attempt's page is closed by now, so waiting holds no slot
+        this.retries += 1;
+        await this.delay(this.config.retryDelay * attempt);
+      }
+    }
+  }
+
+  /**
+   * Load the page once and build its state
+   * @returns {Promise<Object|null>} State
+   */
+  async loadContent() {
     let page = null;
+    let tracking = null;
 
     try {
+      // Custom hash functions, page steps and response capture need a real page
+      if (
+        this.config.mode !== 'browser' &&
+        !this.config.getElementHash &&
+        !this.steps &&
+        !this.capture
+      ) {
+        const staticState = await this.compareStaticContent();
+        if (staticState) {
+          return staticState;
+        }
+      }
+
       page = await this.createStealthPage();
+      tracking = await startRequestTracking(
+        page,
+        this.blocking,
+        this.config.url,
+        this.log
+      );
+
+      // Listen before navigating so responses during the load are seen
+      const capturing =
+        this.capture && !this.config.getElementHash
+          ? startCapture(page, this.capture, this.log)
+          : null;
 
       // Navigate with multiple wait conditions
-      await page.goto(this.config.url, {
+      const navigationStart = Date.now();
+      const response = await page.goto(this.config.url, {
         waitUntil: ['domcontentloaded', 'networkidle2'],
         timeout: this.config.timeout
       });
+      this.navigation = {
+        mode: 'browser',
+        status: response?.status() ?? null,
+        durationMs: Date.now() - navigationStart,
+        ...(await this.readNavigationTiming(page))
+      };
+      this.log.debug('Page loaded', this.navigation);
+      assertResponseOk(this.availability, {
+        status: this.navigation.status,
+        requestedUrl: this.config.url
+      });
 
       // Random delay to appear more human-like
       await humanDelay(1000, 1.0);
 
+      if (this.steps) {
+        await runSteps(page, this.steps, this.log);
+      }
+
       // Wait for any lazy-loaded content
-      await waitForLazyContent(page);
+      await waitForLazyContent(page, this.log);
 
-      const hash = await this.config.getElementHash(
-        page,
-        this.config.selector,
-        this.log
+      if (this.ignore.length > 0) {
+        const removed = await page.evaluate(removeIgnored, this.ignore);
+        this.log.debug(`Removed ${removed} ignored element(s)`);
+      }
+      // Where the page ended up after scripts and steps, e.g. on a login screen
+      assertResponseOk(this.availability, {
+        requestedUrl: this.config.url,
+        finalUrl: page.url()
+      });
+      assertContentOk(
+        this.availability,
+        await page.evaluate(inspectDocument, this.probe)
       );
 
-      const result = {
-        hash,
-        timestamp: new Date().toISOString(),
-        url: this.config.url,
-        selector: this.config.selector
-      };
+      const result = this.buildState(
+        await this.extract(page, capturing),
+        'browser'
+      );
 
-      return result;
-    } catch (error) {
-      this.log.error(`Attempt ${retryCount + 1} failed:`, error);
+      if (this.session) {
+        await this.session.save(page);
+      }
 
-      if (retryCount < this.config.maxRetries) {
-        await this.delay(this.config.retryDelay * (retryCount + 1));
-        return this.compareContent(retryCount + 1);
+      if (this.config.screenshot) {
+        result.screenshot = await this.saveScreenshot(page);
       }
 
-      throw error;
+      return result;
     } finally {
+      // Keeps the request stats of the latest attempt
+      if (tracking) {
+        this.requestStats = await tracking.stop();
+        this.log.debug('Requests', this.requestStats);
+      }
       if (page) {
-        await page.close().catch(() => {});
+        await this.browserManager.releasePage(page);
       }
     }
   }
 
   /**
-   * Load previous state from file
+   * Load the target several times without touching the baseline and report
+   * which parts of the extracted content vary between loads
+   * @param {Object} [options] - Test options
+   * @param {number} [options.runs=3] - Number of loads
+   * @returns {Promise<{runs: number, stable: boolean, fingerprints: number, varying: Object[]}>}
+   *   Number of distinct fingerprints and the varying parts, see findVaryingParts
+   * @throws {Error} When a load fails
+   */
+  async testStability({ runs = 3 } = {}) {
+    const states = [];
+
+    for (let run = 1; run <= runs; run += 1) {
+      const state = await this.compareContent();
+      if (!state) {
+        throw new Error('Unable to retrieve state (element not found?)');
+      }
+      await this.discardScreenshots(state, null);
+      this.log.debug(`Stability run ${run}/${runs}: ${state.hash}`);
+      states.push(state);
+    }
+
+    const fingerprints = new Set(states.map((state) => state.hash)).size;
+    return {
+      runs,
+      stable: fingerprints === 1,
+      fingerprints,
+      varying: findVaryingParts(states.map((state) => state.snapshot))
+    };
+  }
+
+  /**
+   * Read the browser's navigation timing for the loaded page
+   * @param {import('puppeteer').Page} page - Puppeteer page instance
+   * @returns {Promise<Object>} Milliseconds from the start of navigation to
+   *   the first byte, DOMContentLoaded and load, empty when unavailable
+   */
+  async readNavigationTiming(page) {
+    return page
+      .evaluate(() => {
+        const [entry] = performance.getEntriesByType('navigation');
+        return entry
+          ? {
+              ttfbMs: Math.round(entry.responseStart),
+              domContentLoadedMs: Math.round(entry.domContentLoadedEventEnd),
+              loadMs: Math.round(entry.loadEventEnd)
+            }
+          : {};
+      })
+      .catch(() => ({}));
+  }
+
+  /**
+   * Capture a screenshot of the loaded page and store it next to the history
+   * @param {import('puppeteer').Page} page - Puppeteer page instance
+   * @returns {Promise<string|null>} Path of the stored screenshot
+   */
+  async saveScreenshot(page) {
+    try {
+      const image = await captureScreenshot(page, {
+        selector: this.config.selector,
+        ...this.config.screenshot
+      });
+      const file = path.join(this.config.screenshotDir, `${Date.now()}.png`);
+
+      await fs.mkdir(this.config.screenshotDir, { recursive: true });
+      await fs.writeFile(file, image);
+      return file;
+    } catch (error) {
+      this.log.error('Error capturing screenshot', { error });
+      return null;
+    }
+  }
+
+  /**
+   * Compare the screenshots of two states and store the diff image
+   * @param {Object} previousState - Baseline state
+   * @param {Object} currentState - Current state
+   * @returns {Promise<Object|null>} Visual diff summary, or null when either screenshot is missing
+   */
+  async compareVisual(previousState, currentState) {
+    if (!previousState?.screenshot || !currentState?.screenshot) {
+      return null;
+    }
+
+    try {
+      const { diff, changedPixels, percentage } = compareScreenshots(
+        await fs.readFile(previousState.screenshot),
+        await fs.readFile(currentState.screenshot)
+      );
+      const diffFile = currentState.screenshot.replace(/\.png$/, '-diff.png');
+      await fs.writeFile(diffFile, diff);
+
+      return {
+        changedPixels,
+        percentage,
+        before: previousState.screenshot,
+        after: currentState.screenshot,
+        diff: diffFile
+      };
+    } catch (error) {
+      this.log.error('Error comparing screenshots', { error });
+      return null;
+    }
+  }
+
+  /**
+   * Delete screenshots of a check that did not become the baseline
+   * @param {Object} state - Current state
+   * @param {Object|null} visual - Visual diff summary
+   */
+  async discardScreenshots(state, visual) {
+    await this.deleteScreenshots([state.screenshot, visual?.diff]);
+  }
+
+  /**
+   * Delete the screenshots of history records dropped by retention
+   * The baseline's screenshot stays, later checks still compare against it.
+   * @param {Object[]} records - Dropped history records
+   */
+  async pruneScreenshots(records) {
+    const baseline = await this.loadPreviousState();
+    await this.deleteScreenshots(
+      records
+        .flatMap((record) => [record.state?.screenshot, record.visual?.diff])
+        .filter((file) => file !== baseline?.screenshot)
+    );
+  }
+
+  /**
+   * Delete screenshot files, ignoring missing ones
+   * @param {Array<string|null|undefined>} files - Screenshot paths
+   */
+  async deleteScreenshots(files) {
+    await Promise.all(
+      files.filter(Boolean).map((file) => fs.unlink(file).catch(() => {}))
+    );
+  }
+
+  /**
+   * Load the baseline state from the history, falling back to the state file
    */
   async loadPreviousState() {
+    try {
+      const baseline = await this.history.latestBaseline();
+      if (baseline !== undefined) {
+        return baseline;
+      }
+    } catch (error) {
+      this.log.error('Error reading history', { error });
+    }
+
     try {
       const data = await fs.readFile(this.config.stateFile, 'utf8');
-      return JSON.parse(data);
+      const state = JSON.parse(data);
+      const migrated = this.migrateState(state);
+      if (migrated !== state) {
+        await this.saveState(migrated);
+      }
+      return migrated;
     } catch (error) {
       if (error.code !== 'ENOENT') {
-        this.log.error('Error loading state:', error);
+        this.log.error('Error loading state', { error });
       }
       return null;
     }
   }
 
+  /**
+   * Bring a state file written before extraction strategies up to date
+   * Those stored the raw element count as the hash, which never equals a
+   * fingerprint, so the count becomes the value and the hash is recomputed.
+   * @param {Object} state - Parsed state file
+   * @returns {Object} State comparable with the current checks
+   */
+  migrateState(state) {
+    const legacy =
+      state &&
+      state.extract === undefined &&
+      state.value === undefined &&
+      /^\d+$/.test(String(state.hash));
+    if (
+      !legacy ||
+      this.config.extract !== 'count' ||
+      this.config.getElementHash ||
+      this.config.list ||
+      this.capture
+    ) {
+      return state;
+    }
+
+    const value = Number(state.hash);
+    this.log.info(`Migrated legacy state (count ${value})`);
+    return { ...state, hash: fingerprint(value), value, extract: 'count' };
+  }
+
   /**
    * Save current state to file
    */
@@ -182,77 +750,315 @@ export class WebPageMonitor {
       const dir = path.dirname(this.config.stateFile);
       await fs.mkdir(dir, { recursive: true });
       await fs.writeFile(this.config.stateFile, JSON.stringify(state, null, 2));
-      this.log.info('State saved successfully');
+      this.log.debug('State saved successfully');
     } catch (error) {
-      this.log.error('Error saving state:', error);
+      this.log.error('Error saving state', { error });
     }
   }
 
   /**
-   * Check for changes between states
+   * Check for changes, record the check in the history and send alerts
+   * Calls made while a check is running share its result
+   * @returns {Promise<Object>} Check result with `changed`, `reason` and `outcome`
    */
   async checkForChanges() {
+    // Never run two checks of the same target at once
+    if (!this.runningCheck) {
+      this.runningCheck = this.runCheck().finally(() => {
+        this.runningCheck = null;
+      });
+    } else {
+      this.log.debug('Check already running, waiting for it');
+    }
+    return this.runningCheck;
+  }
+
+  /**
+   * Run a single check, see checkForChanges
+   * @returns {Promise<Object>} Check result
+   */
+  async runCheck() {
+    this.log = withContext(this.targetLog, {
+      checkId: crypto.randomBytes(4).toString('hex')
+    });
+    this.navigation = null;
+    this.requestStats = null;
+    this.retries = 0;
+
+    try {
+      return await this.runTrackedCheck();
+    } finally {
+      this.log = this.targetLog;
+    }
+  }
+
+  /**
+   * Body of runCheck, logging with the check id
+   * @returns {Promise<Object>} Check result
+   */
+  async runTrackedCheck() {
+    const startedAt = Date.now();
+    const { previousState, visual, ...checked } = await this.detectChanges();
+    const duration = Date.now() - startedAt;
+    // Loads that produced a state passed every availability check
+    const result = checked.state ? { availability: 'ok', ...checked } : checked;
+
+    this.log.info(`Check finished: ${result.outcome}`, {
+      durationMs: duration,
+      ...(this.navigation && { navigation: this.navigation }),
+      ...(this.requestStats && { requests: this.requestStats }),
+      ...(result.error && { error: result.error })
+    });
+
+    this.lastCheck = {
+      timestamp: new Date().toISOString(),
+      duration,
+      outcome: result.outcome,
+      availability: result.availability ?? null,
+      error: result.error ?? null
+    };
+
+    await this.recordCheck(result, duration, visual);
+    this.metrics?.recordCheck(this.id, {
+      outcome: result.outcome,
+      duration,
+      retries: this.retries,
+      errorType: result.errorType
+    });
+
+    const alerts = this.alertPolicy.observe(result);
+    if (result.outcome === 'changed' && alerts.length === 0) {
+      this.log.debug('Change alert suppressed by alert policy');
+    }
+    for (const alert of alerts) {
+      await this.triggerAlert(alert, previousState, result.state, { visual });
+    }
+
+    return result;
+  }
+
+  /**
+   * Check for changes between states
+   */
+  async detectChanges() {
     try {
-      this.log.info('Checking for changes...');
+      this.log.debug('Checking for changes...');
 
       const currentState = await this.compareContent();
       const previousState = await this.loadPreviousState();
 
       if (!currentState) {
-        await this.triggerAlert(
-          'Unable to retrieve state (element not found?)',
-          previousState,
-          null
-        );
-        return { changed: true, reason: 'state_retrieval_failed' };
+        return {
+          changed: true,
+          reason: 'state_retrieval_failed',
+          outcome: 'error',
+          error: 'Unable to retrieve state (element not found?)',
+          errorType: 'selector',
+          previousState
+        };
       }
 
       if (!previousState) {
         await this.saveState(currentState);
-        this.log.info('Initial state saved');
-        return { changed: false, reason: 'initial_state' };
+        this.log.debug('Initial state saved');
+        return {
+          changed: false,
+          reason: 'initial_state',
+          outcome: 'initial',
+          state: currentState
+        };
       }
 
-      if (currentState.hash !== previousState.hash) {
-        await this.triggerAlert(`Change Detected`, previousState, currentState);
+      const threshold = this.config.screenshot?.threshold;
+      const visualMode = typeof threshold === 'number';
+      const hashChanged = currentState.hash !== previousState.hash;
+
+      // In visual-threshold mode the screenshot alone decides what a change
+      // is, unless there are no two screenshots to compare
+      const visual =
+        visualMode || hashChanged
+          ? await this.compareVisual(previousState, currentState)
+          : null;
+      const changed =
+        visualMode && visual !== null
+          ? visual.percentage >= threshold
+          : hashChanged;
+
+      if (visual) {
+        this.log.debug(`Visual change: ${visual.percentage}% of pixels`);
+      }
+
+      if (changed) {
         await this.saveState(currentState);
-        return { changed: true, reason: 'hash_changed' };
+
+        const ruleMatches = this.rules
+          ? evaluateRules(this.rules, previousState.value, currentState.value)
+          : undefined;
+        if (ruleMatches) {
+          this.log.debug(`Rules matched: ${ruleMatches.length}`);
+        }
+
+        const items = this.config.list
+          ? diffItems(previousState.value, currentState.value)
+          : undefined;
+
+        return {
+          changed: true,
+          reason: 'hash_changed',
+          outcome: 'changed',
+          ruleMatches,
+          ...(items && { items, summary: describeItemChanges(items) }),
+          state: currentState,
+          previousState,
+          visual
+        };
       }
 
-      this.log.info('No changes detected');
-      return { changed: false, reason: 'no_changes' };
+      this.log.debug('No changes detected');
+      await this.discardScreenshots(currentState, visual);
+      return {
+        changed: false,
+        reason: 'no_changes',
+        outcome: 'unchanged',
+        state: currentState
+      };
     } catch (error) {
-      this.log.error('Error checking for changes:', error);
-      await this.triggerAlert(`Monitoring error: ${error.message}`, null, null);
-      return { changed: false, reason: 'error', error: error.message };
+      this.log.error('Error checking for changes', { error });
+      return {
+        changed: false,
+        reason: 'error',
+        outcome: 'error',
+        error: error.message,
+        ...(error instanceof UnavailableError
+          ? { errorType: error.availability, availability: error.availability }
+          : { errorType: classifyError(error) })
+      };
     }
   }
 
   /**
-   * Trigger alert when changes are detected
+   * Append a check result to the history
+   * Baseline-setting checks store the full state so it can be restored later
+   * @param {Object} result - Result returned by detectChanges
+   * @param {number} duration - Check duration in milliseconds
+   * @param {Object|null} [visual] - Visual diff summary of a change
    */
-  async triggerAlert(reason, previousState, currentState) {
+  async recordCheck(result, duration, visual = null) {
+    const { state } = result;
+    const isBaseline =
+      result.outcome === 'initial' || result.outcome === 'changed';
+
+    try {
+      const dropped = await this.history.append({
+        timestamp: new Date().toISOString(),
+        duration,
+        outcome: result.outcome,
+        fingerprint: state?.hash ?? null,
+        value: state?.value ?? null,
+        error: result.error ?? null,
+        availability: result.availability ?? null,
+        ...(this.requestStats && { requests: this.requestStats }),
+        ...(result.ruleMatches && {
+          rules: result.ruleMatches.map((match) => match.name)
+        }),
+        ...(result.summary && { summary: result.summary }),
+        ...(isBaseline && { state }),
+        ...(result.outcome === 'changed' &&
+          visual && {
+            visual: { percentage: visual.percentage, diff: visual.diff }
+          })
+      });
+      await this.pruneScreenshots(dropped);
+    } catch (error) {
+      this.log.error('Error recording check history', { error });
+    }
+  }
+
+  /**
+   * Query the check history, newest first
+   * @param {Object} [options] - Query options
+   * @param {string|Date} [options.since] - Only checks at or after this time
+   * @param {number} [options.limit] - Maximum number of records
+   * @param {string|string[]} [options.outcome] - Only checks with these outcomes
+   *   (initial, unchanged, changed, error, reset)
+   * @returns {Promise<Object[]>} History records
+   */
+  async getHistory(options = {}) {
+    return this.history.query(options);
+  }
+
+  /**
+   * Forget the baseline so the next check starts over
+   * The history itself is kept; a reset marker is appended instead
+   */
+  async resetState() {
+    await fs.unlink(this.config.stateFile).catch(() => {});
+    const dropped = await this.history.append({
+      timestamp: new Date().toISOString(),
+      outcome: 'reset'
+    });
+    await this.pruneScreenshots(dropped);
+  }
+
+  /**
+   * Build an alert and send it to the webhook and the alert callback
+   * @param {Object} info - Alert decided by the alert policy
+   * @param {string} info.type - Alert type (change, error, unavailable, recovery)
+   * @param {string} info.severity - Alert severity (info, warning, critical)
+   * @param {string} info.message - Human-readable summary
+   * @param {Object|null} previousState - Baseline state
+   * @param {Object|null} currentState - Current state
+   * @param {Object} [details] - Extra alert fields, e.g. the visual diff
+   */
+  async triggerAlert(info, previousState, currentState, details = {}) {
+    const isChange = info.type === 'change';
     const alert = {
-      reason,
+      ...info,
       timestamp: new Date().toISOString(),
+      target: this.id,
       url: this.config.url,
       selector: this.config.selector,
       previousHash: previousState?.hash,
-      currentHash: currentState?.hash
+      currentHash: currentState?.hash,
+      previousValue: previousState?.value,
+      currentValue: currentState?.value,
+      diff:
+        isChange && previousState && currentState
+          ? computeDiff(
+              previousState.snapshot ?? toSnapshot(previousState.value),
+              currentState.snapshot
+            )
+          : null,
+      ...(isChange && details)
     };
 
-    console.log('\n🚨 ALERT:', alert.reason);
-    console.log('Timestamp:', alert.timestamp);
-    console.log('URL:', alert.url);
-    console.log('previousHash', alert.previousHash);
-    console.log('currentHash', alert.currentHash);
+    this.log.warn(`🚨 ALERT [${alert.severity}]: ${alert.message}`, {
+      alertType: alert.type,
+      url: alert.url,
+      previousHash: alert.previousHash,
+      currentHash: alert.currentHash,
+      ...(isChange && {
+        previousValue: alert.previousValue,
+        currentValue: alert.currentValue
+      }),
+      ...(alert.visual && { visualChange: `${alert.visual.percentage}%` }),
+      ...(alert.diff && {
+        diff: `+${alert.diff.added} -${alert.diff.removed}\n${alert.diff.text}`
+      })
+    });
 
     // Send webhook notification if configured
     if (this.config.alertWebhook) {
       await this.sendWebhookNotification(alert);
     }
 
-    await this.config.onAlert(alert);
+    const results = await this.config.onAlert(alert, this.config);
+    // The notifier dispatcher reports delivery per notifier
+    if (Array.isArray(results)) {
+      for (const { name, ok } of results) {
+        this.metrics?.recordAlert(this.id, name, ok);
+      }
+    }
   }
 
   /**
@@ -260,19 +1066,13 @@ export class WebPageMonitor {
    */
   async sendWebhookNotification(alert) {
     try {
-      const response = await fetch(this.config.alertWebhook, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(alert)
-      });
-
-      if (!response.ok) {
-        throw new Error(`Webhook failed: ${response.status}`);
-      }
-
-      this.log.info('Webhook notification sent successfully');
+      const send = createWebhookNotifier({ url: this.config.alertWebhook });
+      await send(alert);
+      this.log.debug('Webhook notification sent successfully');
+      this.metrics?.recordAlert(this.id, 'webhook', true);
     } catch (error) {
-      this.log.error('Failed to send webhook call:', error);
+      this.log.error('Failed to send webhook call', { error });
+      this.metrics?.recordAlert(this.id, 'webhook', false);
     }
   }
 
@@ -281,27 +1081,98 @@ export class WebPageMonitor {
    */
   async start() {
     if (this.isMonitoring) {
-      this.log.info('Monitor is already running');
+      this.log.debug('Monitor is already running');
       return;
     }
 
     this.isMonitoring = true;
 
-    console.log('🚀 Starting Element Count Monitor');
-    console.log(`📍 URL: ${this.config.url}`);
-    console.log(`🎯 Selector: ${this.config.selector}`);
-    console.log(`⏱️  Check interval: ${this.config.checkInterval / 1000}s`);
-    console.log(`🌐 Browser: ${this.config.browser}`);
-    console.log(`👻 Headless: ${this.config.headless}`);
-    console.log('');
+    const { cron, timezone, quietHours, activeHours } =
+      this.config.schedule || {};
+    this.log.info('🚀 Starting Element Count Monitor', {
+      url: this.config.url,
+      ...(this.capture
+        ? { capture: `${this.capture.url} ${this.capture.path}` }
+        : { selector: this.config.selector, extract: this.config.extract }),
+      ...(cron
+        ? { schedule: `${cron}${timezone ? ` (${timezone})` : ''}` }
+        : { checkInterval: `${this.config.checkInterval / 1000}s` }),
+      ...(quietHours && {
+        quietHours: `${quietHours.start}-${quietHours.end}`
+      }),
+      ...(activeHours && {
+        activeHours: `${activeHours.start}-${activeHours.end}`
+      }),
+      mode: this.config.mode,
+      browser: this.config.browser,
+      headless: this.config.headless
+    });
 
-    // Initial check
-    await this.checkForChanges();
+    // Initial check, then follow the schedule
+    await this.scheduler.start();
+  }
 
-    // Set up periodic monitoring
-    this.monitorInterval = setInterval(async () => {
-      await this.checkForChanges();
-    }, this.config.checkInterval);
+  /**
+   * Scheduled check, skipped while paused
+   * @returns {Promise<Object|null>} Check result, or null when skipped
+   */
+  async runScheduledCheck() {
+    if (this.isPaused) {
+      this.log.debug('Monitor is paused, skipping check');
+      return null;
+    }
+    return this.checkForChanges();
+  }
+
+  /**
+   * Pause scheduled checks, forced checks still run
+   */
+  pause() {
+    this.isPaused = true;
+    this.log.info('⏸️  Monitor paused');
+  }
+
+  /**
+   * Resume scheduled checks
+   */
+  resume() {
+    this.isPaused = false;
+    this.log.info('▶️  Monitor resumed');
+  }
+
+  /**
+   * Get a status summary for this target
+   * Falls back to the history for checks made before the process started
+   * @returns {Promise<Object>} Target status
+   */
+  async getStatus() {
+    const lastCheck = this.lastCheck ?? (await this.history.lastCheck());
+    const lastChange = await this.history.lastChange();
+    const baseline = await this.loadPreviousState();
+
+    return {
+      id: this.id,
+      url: this.config.url,
+      selector: this.config.selector,
+      extract: this.config.extract,
+      monitoring: this.isMonitoring,
+      paused: this.isPaused,
+      lastCheck: lastCheck
+        ? {
+            timestamp: lastCheck.timestamp,
+            duration: lastCheck.duration,
+            outcome: lastCheck.outcome,
+            error: lastCheck.error ?? null
+          }
+        : null,
+      lastChange: lastChange?.timestamp ?? null,
+      value: baseline?.value ?? null,
+      nextRun:
+        this.isMonitoring && !this.isPaused && this.scheduler.nextRunAt
+          ? new Date(this.scheduler.nextRunAt).toISOString()
+          : null,
+      consecutiveFailures: this.scheduler.failures
+    };
   }
 
   /**
@@ -310,17 +1181,14 @@ export class WebPageMonitor {
   async stop() {
     this.isMonitoring = false;
 
-    if (this.monitorInterval) {
-      clearInterval(this.monitorInterval);
-      this.monitorInterval = null;
-    }
+    this.scheduler.stop();
 
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
+    // A shared browser is closed by whoever created the manager
+    if (this.ownsBrowser) {
+      await this.browserManager.close();
     }
 
-    console.log('🛑 Monitor stopped');
+    this.log.info('🛑 Monitor stopped');
   }
 
   /**
@@ -331,21 +1199,4 @@ export class WebPageMonitor {
   delay(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
-
-  /**
-   * Logging utilities
-   */
-  log = {
-    error: (message, error) => {
-      console.error(
-        `[${new Date().toISOString()}] ${message}`,
-        error?.message || error
-      );
-    },
-    info: (message) => {
-      if (this.config.debug) {
-        console.log(`[${new Date().toISOString()}] ${message}`);
-      }
-    }
-  };
 }